@@ -235,6 +235,8 @@ class FlickrJustifiedBlock {
             'restNonce'     => wp_create_nonce('wp_rest'),
             'debug'         => defined('WP_DEBUG') && WP_DEBUG,
             'sizeMap'       => FlickrJustifiedCache::get_suffix_to_name_map(),
+            // Album pages fetched at once when a gallery loads more photos from several albums
+            'albumConcurrency' => max(1, (int) apply_filters('flickr_justified_album_fetch_concurrency', 3)),
         ]);
     }
 
@@ -313,6 +315,14 @@ class FlickrJustifiedBlock {
                     'validate_callback' => function($value) {
                         return $value >= 0 && $value <= 10000;
                     }
+                ],
+                'interleave' => [
+                    'required' => false,
+                    'type' => 'string',
+                    'sanitize_callback' => 'sanitize_text_field',
+                    'validate_callback' => function($value) {
+                        return in_array($value, ['round_robin', 'sequential', 'date_taken', 'views'], true);
+                    }
                 ]
             ]
         ]);
@@ -509,11 +519,15 @@ class FlickrJustifiedBlock {
         $sort_order = $request->get_param('sort_order');
         $max_photos = (int) $request->get_param('max_photos');
         $loaded_count = (int) $request->get_param('loaded_count');
+        $interleave = $request->get_param('interleave');
 
         if (!in_array($sort_order, ['input', 'views_desc'], true)) {
             $sort_order = 'input';
         }
 
+        // Albums merged by views need every photo's views, like the views sort
+        $needs_stats = 'views_desc' === $sort_order || 'views' === $interleave;
+
         if ($max_photos < 0) {
             $max_photos = 0;
         }
@@ -642,7 +656,7 @@ class FlickrJustifiedBlock {
 
                 $photo_id = flickr_justified_extract_photo_id($photo_url);
                 $stats = [];
-                if ($photo_id && function_exists('flickr_justified_get_photo_stats') && 'views_desc' === $sort_order) {
+                if ($photo_id && function_exists('flickr_justified_get_photo_stats') && $needs_stats) {
                     $stats = flickr_justified_get_photo_stats($photo_id);
                 }
 
@@ -705,7 +719,10 @@ class FlickrJustifiedBlock {
                         'caption' => $photo_title ?: $attribution_text,
                         'srcset' => $srcset_attr,
                         'sizes' => $sizes_attr,
+                        'placeholder' => flickr_justified_get_placeholder_url($image_data),
                         'id' => $photo_id,
+                        'taken_month' => flickr_justified_get_photo_taken_month($image_data),
+                        'taken' => flickr_justified_get_photo_taken_date($image_data),
                     ];
                 } else {
                     // Fallback: use original photo URL (might not work but better than skipping)
@@ -152,6 +152,140 @@ function flickr_justified_build_data_attrs(array $attrs): string {
     return implode(' ', $parts);
 }
 
+/**
+ * Normalize a focal point from the images block attribute.
+ *
+ * @param mixed $focal_point Array with 'x' and 'y' percentages.
+ * @return array{x: float, y: float}|null Percentages clamped to 0–100, or null when unset or invalid.
+ */
+function flickr_justified_sanitize_focal_point($focal_point): ?array {
+    if (!is_array($focal_point) || !isset($focal_point['x'], $focal_point['y'])) {
+        return null;
+    }
+    if (!is_numeric($focal_point['x']) || !is_numeric($focal_point['y'])) {
+        return null;
+    }
+
+    return [
+        'x' => max(0, min(100, round((float) $focal_point['x'], 1))),
+        'y' => max(0, min(100, round((float) $focal_point['y'], 1))),
+    ];
+}
+
+/**
+ * Normalize a divider item (heading or text between photos) from the images block attribute.
+ *
+ * @param mixed $item Images attribute entry with 'divider' ('heading' or 'text') and 'content'.
+ * @return array{style: string, content: string}|null Divider with sanitized content, or null when not a divider or empty.
+ */
+function flickr_justified_sanitize_divider($item): ?array {
+    if (!is_array($item) || empty($item['divider']) || !isset($item['content']) || !is_string($item['content'])) {
+        return null;
+    }
+
+    $style = 'text' === $item['divider'] ? 'text' : 'heading';
+    $content = 'text' === $style ? wp_kses_post(trim($item['content'])) : sanitize_text_field($item['content']);
+    if ('' === trim(wp_strip_all_tags($content))) {
+        return null;
+    }
+
+    return [
+        'style' => $style,
+        'content' => $content,
+    ];
+}
+
+/**
+ * Normalize per-breakpoint overrides from the responsiveOverrides block attribute.
+ *
+ * @param mixed $overrides Breakpoint key => array with rowHeight, gap and/or maxViewportHeight.
+ * @return array Overrides with unknown keys dropped and values clamped to the block setting ranges.
+ */
+function flickr_justified_sanitize_responsive_overrides($overrides): array {
+    if (!is_array($overrides)) {
+        return [];
+    }
+
+    $limits = [
+        'rowHeight' => [120, 500],
+        'gap' => [0, 64],
+        'maxViewportHeight' => [30, 100],
+    ];
+
+    $sanitized = [];
+    foreach ($overrides as $breakpoint => $values) {
+        if (!is_string($breakpoint) || !preg_match('/^[a-z_]+$/', $breakpoint) || !is_array($values)) {
+            continue;
+        }
+        $clean = [];
+        foreach ($limits as $key => [$min, $max]) {
+            if (isset($values[$key]) && is_numeric($values[$key])) {
+                $clean[$key] = max($min, min($max, (int) $values[$key]));
+            }
+        }
+        if (!empty($clean)) {
+            $sanitized[$breakpoint] = $clean;
+        }
+    }
+    return $sanitized;
+}
+
+/**
+ * When a Flickr photo was taken, used to merge several albums by date.
+ *
+ * @param mixed $image_data Image data with cached '_photo_info'.
+ * @return string 'YYYY-MM-DD HH:MM:SS' (sorts as a string), or '' when unknown.
+ */
+function flickr_justified_get_photo_taken_date($image_data): string {
+    $taken = $image_data['_photo_info']['dates']['taken'] ?? '';
+    if (!is_string($taken) || !preg_match('/^(\d{4})-\d{2}/', $taken, $m) || '0000' === $m[1]) {
+        return '';
+    }
+    return $taken;
+}
+
+/**
+ * Month a Flickr photo was taken, used as its section key when grouping by date.
+ *
+ * @param mixed $image_data Image data with cached '_photo_info'.
+ * @return string 'YYYY-MM', or '' when the date taken is unknown.
+ */
+function flickr_justified_get_photo_taken_month($image_data): string {
+    $taken = flickr_justified_get_photo_taken_date($image_data);
+    return '' === $taken ? '' : substr($taken, 0, 7);
+}
+
+/**
+ * Smallest uncropped Flickr size, shown blurred behind a card until its photo loads.
+ *
+ * @param mixed $image_data Cached size data (fetched with thumbnails).
+ * @return string Thumbnail URL, or '' when no small size is cached.
+ */
+function flickr_justified_get_placeholder_url($image_data): string {
+    foreach (['thumbnail100', 'small240', 'small320'] as $size_key) {
+        if (!empty($image_data[$size_key]['url']) && is_string($image_data[$size_key]['url'])) {
+            return esc_url_raw($image_data[$size_key]['url']);
+        }
+    }
+    return '';
+}
+
+/**
+ * Card attributes that paint the blurred placeholder thumbnail.
+ *
+ * @param string $placeholder_url URL from flickr_justified_get_placeholder_url().
+ * @return string[] Attribute strings; empty without a URL.
+ */
+function flickr_justified_placeholder_attributes(string $placeholder_url): array {
+    if ('' === $placeholder_url) {
+        return [];
+    }
+    return [
+        'data-placeholder="' . esc_attr($placeholder_url) . '"',
+        'style="' . esc_attr("--flickr-placeholder: url('" . $placeholder_url . "')") . '"',
+    ];
+}
+
 /**
  * Provide a consistent empty response for paginated photoset requests.
  *
@@ -296,6 +430,32 @@ function flickr_justified_get_photoset_info($user_id, $photoset_id) {
     return FlickrJustifiedCache::get_photoset_info($user_id, $photoset_id);
 }
 
+/**
+ * Query parameter holding a numbered gallery's page.
+ *
+ * One per gallery, so galleries on the same post page independently.
+ *
+ * @param string $block_id Gallery element ID.
+ * @return string Parameter name, e.g. 'fjb_page_flickr-justified-1'.
+ */
+function flickr_justified_get_page_param(string $block_id): string {
+    return 'fjb_page_' . sanitize_key($block_id);
+}
+
+/**
+ * Album title for section headings.
+ *
+ * @param array $set_info Parsed set URL (user_id, photoset_id).
+ * @return string Title, or '' when Flickr doesn't give one.
+ */
+function flickr_justified_get_album_title(array $set_info): string {
+    $set_info_result = flickr_justified_get_photoset_info($set_info['user_id'], $set_info['photoset_id']);
+    if (is_array($set_info_result) && isset($set_info_result['title'])) {
+        return (string) $set_info_result['title'];
+    }
+    return '';
+}
+
 /**
  * Get photoset photos paginated (wrapper for cache class)
  */
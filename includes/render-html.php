@@ -97,6 +97,99 @@ function flickr_justified_build_srcset_attributes($image_data, $available_sizes)
     return [$srcset, $sizes];
 }
 
+/**
+ * Render divider items as full-width breaks between photos
+ *
+ * @param array $dividers Dividers from flickr_justified_sanitize_divider()
+ * @return string HTML markup for the dividers
+ */
+function flickr_justified_render_dividers(array $dividers): string {
+    $output = '';
+    foreach ($dividers as $divider) {
+        if ('text' === ($divider['style'] ?? '')) {
+            $output .= sprintf(
+                '<div class="flickr-justified-divider flickr-justified-divider--text">%s</div>',
+                wpautop(wp_kses_post($divider['content']))
+            );
+        } else {
+            $output .= sprintf(
+                '<h3 class="flickr-justified-divider flickr-justified-divider--heading">%s</h3>',
+                esc_html($divider['content'] ?? '')
+            );
+        }
+    }
+    return $output;
+}
+
+/**
+ * Render the page links of a numbered gallery
+ *
+ * Links are plain ?fjb_page_<gallery id>=N URLs so pages can be shared and work
+ * without JavaScript; pagination.js swaps them in place when it runs.
+ *
+ * @param string $block_id Gallery element ID the links belong to
+ * @param int $current_page Page shown, 1-based
+ * @param int $total_pages Number of pages
+ * @param string $page_url URL of the page the gallery sits on, without this gallery's page parameter
+ * @return string HTML markup, empty for a single page
+ */
+function flickr_justified_render_pagination(string $block_id, int $current_page, int $total_pages, string $page_url): string {
+    if ($total_pages < 2) {
+        return '';
+    }
+
+    $page_param = flickr_justified_get_page_param($block_id);
+    $page_link = static function (int $page) use ($page_url, $page_param): string {
+        return 1 === $page ? $page_url : add_query_arg($page_param, $page, $page_url);
+    };
+
+    // First, last and two either side of the current page; gaps become an ellipsis
+    $shown = array_unique([1, ...range(max(1, $current_page - 2), min($total_pages, $current_page + 2)), $total_pages]);
+    sort($shown);
+
+    $items = [];
+    if ($current_page > 1) {
+        $items[] = sprintf(
+            '<a class="flickr-justified-pagination__prev" href="%s" rel="prev">%s</a>',
+            esc_url($page_link($current_page - 1)),
+            esc_html__('Previous', 'flickr-justified-block')
+        );
+    }
+
+    $previous = 0;
+    foreach ($shown as $page) {
+        if ($page - $previous > 1) {
+            $items[] = '<span class="flickr-justified-pagination__gap" aria-hidden="true">&hellip;</span>';
+        }
+        if ($page === $current_page) {
+            $items[] = sprintf('<span class="flickr-justified-pagination__page" aria-current="page">%d</span>', $page);
+        } else {
+            $items[] = sprintf(
+                '<a class="flickr-justified-pagination__page" href="%s">%d</a>',
+                esc_url($page_link($page)),
+                $page
+            );
+        }
+        $previous = $page;
+    }
+
+    if ($current_page < $total_pages) {
+        $items[] = sprintf(
+            '<a class="flickr-justified-pagination__next" href="%s" rel="next">%s</a>',
+            esc_url($page_link($current_page + 1)),
+            esc_html__('Next', 'flickr-justified-block')
+        );
+    }
+
+    return sprintf(
+        '<nav class="flickr-justified-pagination" data-gallery="%s" data-page-param="%s" aria-label="%s">%s</nav>',
+        esc_attr($block_id),
+        esc_attr($page_param),
+        esc_attr__('Gallery pages', 'flickr-justified-block'),
+        implode('', $items)
+    );
+}
+
 /**
  * Render photos with justified gallery layout
  *
@@ -105,12 +198,27 @@ function flickr_justified_build_srcset_attributes($image_data, $available_sizes)
  * @param int $gap Gap between images in pixels
  * @param string $image_size Flickr size to use for display
  * @param array $responsive_settings Responsive breakpoint settings
- * @param string $row_height_mode 'auto' or 'fixed'
+ * @param array $responsive_overrides Per-breakpoint rowHeight, gap and maxViewportHeight overrides
+ * @param string $layout 'justified', 'masonry' or 'grid'
+ * @param string $grid_aspect_ratio Cell aspect ratio for the grid layout, e.g. '4:3'
+ * @param string $row_height_mode 'auto', 'fixed' or 'optimal'
  * @param int $row_height Target row height in pixels
  * @param int $max_viewport_height Max row height as percentage of viewport
  * @param string $single_image_alignment Alignment for single images
+ * @param string $last_row_behavior 'justify', 'left', 'center', 'right', 'hide' or 'balance'
+ * @param float $min_aspect_ratio Narrowest shape for images sharing a row, 0 for no limit
+ * @param float $max_aspect_ratio Widest shape for images sharing a row, 0 for no limit
+ * @param float $auto_full_row_ratio Images at least this wide get their own row, 0 to disable
+ * @param bool $virtualize Only mount rows near the viewport (large albums)
+ * @param bool $layout_worker Compute row breaks in a Web Worker (large albums)
+ * @param bool $animate_reflow Animate cards to their new boxes when the layout changes
+ * @param string $group_by Section headings: 'none', 'album' or 'date' (month taken)
+ * @param array $dividers Photo index => dividers (see flickr_justified_sanitize_divider()) shown before that photo
+ * @param int $row_height_tolerance Percent rows of fixed/optimal mode may grow to fill the width uncropped, 0 for exact heights
+ * @param string $pagination_mode Album paging: 'infinite' (scroll), 'button' (Load more) or 'numbered'
+ * @param string $album_interleave Order of several albums: 'round_robin', 'sequential', 'date_taken' or 'views'
  * @param array $set_metadata Metadata for lazy-loaded album pages
- * @param array $context Additional context (photo_limit, sort_order)
+ * @param array $context Additional context (photo_limit, sort_order, post_id)
  * @return string HTML markup for the gallery
  */
 function flickr_justified_render_justified_gallery(
@@ -119,10 +227,25 @@ function flickr_justified_render_justified_gallery(
     int $gap,
     string $image_size,
     array $responsive_settings,
+    array $responsive_overrides,
+    string $layout,
+    string $grid_aspect_ratio,
     string $row_height_mode,
     int $row_height,
     int $max_viewport_height,
     string $single_image_alignment,
+    string $last_row_behavior = 'justify',
+    float $min_aspect_ratio = 0.0,
+    float $max_aspect_ratio = 0.0,
+    float $auto_full_row_ratio = 0.0,
+    bool $virtualize = false,
+    bool $layout_worker = false,
+    bool $animate_reflow = false,
+    string $group_by = 'none',
+    array $dividers = [],
+    int $row_height_tolerance = 0,
+    string $pagination_mode = 'infinite',
+    string $album_interleave = 'round_robin',
     array $set_metadata = [],
     array $context = [],
 ): string {
@@ -133,6 +256,7 @@ function flickr_justified_render_justified_gallery(
         default => 'input',
     };
     $loaded_count = is_array($photos) ? count($photos) : 0;
+    $post_id = max(0, (int) ($context['post_id'] ?? 0));
 
     // Get admin breakpoints
     $breakpoints = flickr_justified_get_admin_setting('get_breakpoints', []);
@@ -144,16 +268,33 @@ function flickr_justified_render_justified_gallery(
     $data_attrs = [
         'responsive-settings'     => flickr_justified_encode_json_attr($responsive_settings),
         'breakpoints'             => flickr_justified_encode_json_attr($breakpoints),
+        'responsive-overrides'    => ! empty($responsive_overrides) ? flickr_justified_encode_json_attr($responsive_overrides) : '',
+        'gap'                     => (int) $gap,
+        'layout'                  => $layout,
+        'grid-aspect-ratio'       => $grid_aspect_ratio,
         'row-height-mode'         => $row_height_mode,
         'row-height'              => (int) $row_height,
+        'row-height-tolerance'    => $row_height_tolerance > 0 ? (int) $row_height_tolerance : '',
         'max-viewport-height'     => (int) $max_viewport_height,
         'single-image-alignment'  => $single_image_alignment,
+        'last-row-behavior'       => $last_row_behavior,
+        'min-aspect-ratio'        => $min_aspect_ratio > 0 ? $min_aspect_ratio : '',
+        'max-aspect-ratio'        => $max_aspect_ratio > 0 ? $max_aspect_ratio : '',
+        'auto-full-row-ratio'     => $auto_full_row_ratio > 0 ? $auto_full_row_ratio : '',
+        'virtualize'              => $virtualize ? '1' : '',
+        'layout-worker'           => $layout_worker ? '1' : '',
+        'animate-reflow'          => $animate_reflow ? '1' : '',
+        'group-by'                => 'none' !== $group_by ? $group_by : '',
+        'pagination'              => 'infinite' !== $pagination_mode ? $pagination_mode : '',
+        'load-more-label'         => 'button' === $pagination_mode ? __('Load more photos', 'flickr-justified-block') : '',
+        'album-interleave'        => 'round_robin' !== $album_interleave ? $album_interleave : '',
         'use-builtin-lightbox'    => '1',
         'set-metadata'            => ! empty($set_metadata) ? flickr_justified_encode_json_attr($set_metadata) : '',
         'attribution-text'        => $attribution_text,
         'photo-limit'             => (int) $photo_limit,
         'sort-order'              => $sort_order,
         'loaded-count'            => (int) $loaded_count,
+        'post-id'                 => $post_id > 0 ? $post_id : '',
     ];
 
     $data_string = flickr_justified_build_data_attrs($data_attrs);
@@ -170,7 +311,12 @@ function flickr_justified_render_justified_gallery(
         $photos = [];
     }
 
-    foreach ($photos as $photo) {
+    foreach ($photos as $photo_index => $photo) {
+        if (isset($dividers[$photo_index])) {
+            $output .= flickr_justified_render_dividers($dividers[$photo_index]);
+            unset($dividers[$photo_index]);
+        }
+
         if (is_string($photo)) {
             $photo = ['url' => $photo];
         }
@@ -313,6 +459,13 @@ function flickr_justified_render_justified_gallery(
             if (!empty($photo['full_row'])) {
                 $card_attributes[] = 'data-full-row="1"';
             }
+            if (!empty($photo['featured'])) {
+                $card_attributes[] = 'data-featured="1"';
+            }
+            if (!empty($photo['focal_point'])) {
+                $card_attributes[] = 'data-focal-x="' . esc_attr($photo['focal_point']['x']) . '"';
+                $card_attributes[] = 'data-focal-y="' . esc_attr($photo['focal_point']['y']) . '"';
+            }
             if ($rotation) {
                 $card_attributes[] = 'data-rotation="' . esc_attr($rotation) . '"';
             }
@@ -322,6 +475,25 @@ function flickr_justified_render_justified_gallery(
             if (!empty($photo_id)) {
                 $card_attributes[] = 'data-photo-id="' . esc_attr($photo_id) . '"';
             }
+            // Album and date taken, for keeping albums in order or merging them as pages load
+            if (!empty($photo['album'])) {
+                $card_attributes[] = 'data-album="' . esc_attr($photo['album']) . '"';
+            }
+            if (!empty($photo['taken'])) {
+                $card_attributes[] = 'data-taken="' . esc_attr($photo['taken']) . '"';
+            }
+            if ('album' === $group_by && !empty($photo['album'])) {
+                $card_attributes[] = 'data-group="' . esc_attr($photo['album']) . '"';
+            } elseif ('date' === $group_by) {
+                $taken_month = flickr_justified_get_photo_taken_month($image_data);
+                if ('' !== $taken_month) {
+                    $card_attributes[] = 'data-group="' . esc_attr($taken_month) . '"';
+                }
+            }
+            $card_attributes = array_merge(
+                $card_attributes,
+                flickr_justified_placeholder_attributes(flickr_justified_get_placeholder_url($image_data))
+            );
             $card_attributes[] = 'data-views="' . esc_attr($views) . '"';
             $card_attributes[] = 'data-comments="' . esc_attr($comments) . '"';
             $card_attributes[] = 'data-favorites="' . esc_attr($favorites) . '"';
@@ -411,9 +583,23 @@ function flickr_justified_render_justified_gallery(
             if (!empty($photo['full_row'])) {
                 $card_attributes[] = 'data-full-row="1"';
             }
+            if (!empty($photo['featured'])) {
+                $card_attributes[] = 'data-featured="1"';
+            }
+            if (!empty($photo['focal_point'])) {
+                $card_attributes[] = 'data-focal-x="' . esc_attr($photo['focal_point']['x']) . '"';
+                $card_attributes[] = 'data-focal-y="' . esc_attr($photo['focal_point']['y']) . '"';
+            }
             if (null !== $position) {
                 $card_attributes[] = 'data-position="' . esc_attr($position) . '"';
             }
+            if (!empty($photo['album'])) {
+                $card_attributes[] = 'data-album="' . esc_attr($photo['album']) . '"';
+            }
+            // Direct images have no date taken, so only album grouping applies
+            if ('album' === $group_by && !empty($photo['album'])) {
+                $card_attributes[] = 'data-group="' . esc_attr($photo['album']) . '"';
+            }
             $card_attributes[] = 'data-views="' . esc_attr($views) . '"';
             $card_attributes[] = 'data-comments="' . esc_attr($comments) . '"';
             $card_attributes[] = 'data-favorites="' . esc_attr($favorites) . '"';
@@ -471,6 +657,12 @@ function flickr_justified_render_justified_gallery(
         }
     }
 
+    // Dividers after the last photo
+    ksort($dividers);
+    foreach ($dividers as $trailing) {
+        $output .= flickr_justified_render_dividers($trailing);
+    }
+
     $output .= '</div>';
     return $output;
 }
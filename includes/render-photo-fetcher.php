@@ -375,6 +375,43 @@ function flickr_justified_get_full_photoset_photos($user_id, $photoset_id) {
     return $full_result;
 }
 
+/**
+ * Get the first $limit photos of a photoset, a page at a time
+ *
+ * For numbered galleries with a photo limit, which need every photo up to the
+ * limit at once but no more.
+ *
+ * @param string $user_id Username or NSID
+ * @param string $photoset_id Photoset ID
+ * @param int $limit Number of photos wanted, at least 1
+ * @return array Same shape as flickr_justified_get_photoset_photos_paginated()
+ */
+function flickr_justified_get_photoset_photos_up_to($user_id, $photoset_id, int $limit) {
+    $limit = max(1, $limit);
+    $per_page = min(500, $limit); // Flickr maximum per page
+    $result = flickr_justified_empty_photoset_result(1);
+    $photos = [];
+
+    for ($page = 1; count($photos) < $limit; $page++) {
+        $page_result = flickr_justified_get_photoset_photos_paginated($user_id, $photoset_id, $page, $per_page);
+        if (!is_array($page_result)) {
+            break;
+        }
+
+        $result = array_merge($result, $page_result);
+        $page_photos = isset($page_result['photos']) && is_array($page_result['photos']) ? $page_result['photos'] : [];
+        $photos = array_merge($photos, $page_photos);
+
+        if (!empty($page_result['rate_limited']) || empty($page_photos) || empty($page_result['has_more'])) {
+            break;
+        }
+    }
+
+    $result['photos'] = array_slice($photos, 0, $limit);
+    $result['has_more'] = !empty($result['has_more']) || count($photos) > $limit;
+    return $result;
+}
+
 // ============================================================================
 // ROTATION HELPERS
 // ============================================================================
@@ -30,12 +30,20 @@ function flickr_justified_render_block($attributes) {
     // Support new images array format with fullRow flags, fall back to legacy urls string
     $images_array = isset($attributes['images']) && is_array($attributes['images']) ? $attributes['images'] : [];
     $full_row_flags = [];
+    $featured_flags = [];
+    $focal_points = [];
+    $dividers_by_url = []; // URL index => dividers shown before that URL (count($url_parts) = after the last one)
 
     if (!empty($images_array)) {
         // New format: extract URLs and fullRow flags from images array (dedup by URL)
         $url_parts = [];
         $seen_urls = [];
         foreach ($images_array as $i => $img) {
+            $divider = flickr_justified_sanitize_divider($img);
+            if ($divider) {
+                $dividers_by_url[count($url_parts)][] = $divider;
+                continue;
+            }
             if (is_array($img) && !empty($img['url'])) {
                 $trimmed = trim($img['url']);
                 if (isset($seen_urls[$trimmed])) {
@@ -44,6 +52,8 @@ function flickr_justified_render_block($attributes) {
                 $seen_urls[$trimmed] = true;
                 $url_parts[] = $trimmed;
                 $full_row_flags[] = !empty($img['fullRow']);
+                $featured_flags[] = !empty($img['featured']) && empty($img['fullRow']);
+                $focal_points[] = flickr_justified_sanitize_focal_point($img['focalPoint'] ?? null);
             }
         }
         $urls = implode("\n", $url_parts);
@@ -53,6 +63,37 @@ function flickr_justified_render_block($attributes) {
 
     $gap = isset($attributes['gap']) ? max(0, (int) $attributes['gap']) : 12;
     $image_size = $attributes['imageSize'] ?? 'large';
+    $pagination_mode = match ($attributes['paginationMode'] ?? 'infinite') {
+        'button' => 'button',
+        'numbered' => 'numbered',
+        default => 'infinite',
+    };
+
+    // Generate unique ID for this block instance
+    // Use target gallery ID if provided (from async loading), otherwise generate new one
+    $block_id = $attributes['_target_gallery_id'] ?? wp_unique_id('flickr-justified-');
+
+    // Numbered galleries show the page in ?fjb_page_<gallery id>=N, so several on one post
+    // page independently. Over AJAX (async loading) the request URL is admin-ajax.php, so
+    // the page and page URL travel in the attributes.
+    $requested_page = 1;
+    $page_url = '';
+    if ('numbered' === $pagination_mode) {
+        $page_param = flickr_justified_get_page_param($block_id);
+        if (isset($attributes['_page'])) {
+            $requested_page = max(1, (int) $attributes['_page']);
+        } elseif (isset($_GET[$page_param]) && is_string($_GET[$page_param])) {
+            $requested_page = max(1, absint(wp_unslash($_GET[$page_param])));
+        }
+        $page_url = isset($attributes['_page_url']) && is_string($attributes['_page_url'])
+            ? $attributes['_page_url']
+            : remove_query_arg($page_param);
+    }
+
+    // Post the block belongs to, so the browser can keep each gallery's loaded
+    // pages apart when restoring them (lazy-loading.js). Travels in the
+    // attributes over AJAX like the page URL above.
+    $post_id = isset($attributes['_post_id']) ? (int) $attributes['_post_id'] : (int) get_the_ID();
 
     // Check if we should use async loading (for large uncached albums to prevent timeouts)
     $use_async_loading = flickr_justified_should_use_async_loading($urls);
@@ -72,10 +113,15 @@ function flickr_justified_render_block($attributes) {
     if ($use_async_loading) {
         // Return loading placeholder that will load via AJAX (handled by external script)
         $placeholder_id = wp_unique_id('flickr-justified-async-');
-        $target_gallery_id = wp_unique_id('flickr-justified-');
+        $target_gallery_id = $block_id;
 
         // Store target gallery ID in attributes so rendered gallery uses same ID
         $attributes['_target_gallery_id'] = $target_gallery_id;
+        $attributes['_post_id'] = $post_id;
+        if ('numbered' === $pagination_mode) {
+            $attributes['_page'] = $requested_page;
+            $attributes['_page_url'] = $page_url;
+        }
         $attributes_json = wp_json_encode($attributes);
         $attributes_b64 = base64_encode($attributes_json);
         $placeholder_html = sprintf(
@@ -106,10 +152,41 @@ function flickr_justified_render_block($attributes) {
     );
 
     $responsive_settings = $attributes['responsiveSettings'] ?? $default_responsive;
-    $row_height_mode = $attributes['rowHeightMode'] ?? 'auto';
+    $responsive_overrides = flickr_justified_sanitize_responsive_overrides($attributes['responsiveOverrides'] ?? []);
+    $layout = match ($attributes['layout'] ?? 'justified') {
+        'masonry' => 'masonry',
+        'grid' => 'grid',
+        default => 'justified',
+    };
+    $grid_aspect_ratio = match ($attributes['gridAspectRatio'] ?? '1:1') {
+        '4:3', '3:2', '16:9', '3:4', '2:3' => $attributes['gridAspectRatio'],
+        default => '1:1',
+    };
+    $row_height_mode = match ($attributes['rowHeightMode'] ?? 'auto') {
+        'fixed' => 'fixed',
+        'optimal' => 'optimal',
+        default => 'auto',
+    };
     $row_height = isset($attributes['rowHeight']) ? max(120, min(500, (int) $attributes['rowHeight'])) : 280;
+    $row_height_tolerance = isset($attributes['rowHeightTolerance']) ? max(0, min(50, (int) $attributes['rowHeightTolerance'])) : 0;
     $max_viewport_height = isset($attributes['maxViewportHeight']) ? max(30, min(100, (int) $attributes['maxViewportHeight'])) : 80;
     $single_image_alignment = $attributes['singleImageAlignment'] ?? 'center';
+    $last_row_behavior = match ($attributes['lastRowBehavior'] ?? 'justify') {
+        'left', 'center', 'right', 'hide', 'balance' => $attributes['lastRowBehavior'],
+        default => 'justify',
+    };
+    // Aspect-ratio limits are off (0) unless set
+    $min_aspect_ratio = isset($attributes['minAspectRatio']) ? max(0.2, min(1, (float) $attributes['minAspectRatio'])) : 0.0;
+    $max_aspect_ratio = isset($attributes['maxAspectRatio']) ? max(1, min(6, (float) $attributes['maxAspectRatio'])) : 0.0;
+    $auto_full_row_ratio = isset($attributes['autoFullRowRatio']) ? max(2, min(10, (float) $attributes['autoFullRowRatio'])) : 0.0;
+    $virtualize = !empty($attributes['virtualize']);
+    $layout_worker = !empty($attributes['layoutWorker']);
+    $animate_reflow = !empty($attributes['animateReflow']);
+    $group_by = match ($attributes['groupBy'] ?? 'none') {
+        'album' => 'album',
+        'date' => 'date',
+        default => 'none',
+    };
 
     if (empty($urls)) {
         return '';
@@ -149,7 +226,24 @@ function flickr_justified_render_block($attributes) {
         default => 'input',
     };
 
-    $needs_stats = ('views_desc' === $sort_order);
+    // How several albums share the gallery: a page of each in turn (round_robin),
+    // one album after another (sequential), or merged by date taken or views
+    $album_interleave = match ($attributes['albumInterleave'] ?? 'round_robin') {
+        'sequential' => 'sequential',
+        'date_taken' => 'date_taken',
+        'views' => 'views',
+        default => 'round_robin',
+    };
+    $merge_albums = in_array($album_interleave, ['date_taken', 'views'], true);
+
+    $needs_stats = ('views_desc' === $sort_order || 'views' === $album_interleave);
+
+    // Dividers sit between photos in input order; sorting by views, merging albums or grouping into sections leaves them no place
+    if ('input' !== $sort_order || $merge_albums || 'none' !== $group_by) {
+        $dividers_by_url = [];
+    }
+    $dividers = []; // Photo index => dividers shown before that photo
+    $divider_count = 0; // Dividers shown so far; an album's later pages stay behind the same number
 
     // For views_desc we rely on cached stats only; do not pull live stats during render.
     // CRITICAL: For views_desc sorting, we must process ALL photos first, then sort, then limit.
@@ -161,6 +255,7 @@ function flickr_justified_render_block($attributes) {
     $rate_limited = false; // Track if we hit rate limiting
     $used_fallback_fetch = false; // Track if we used fallback fetch for views_desc
     $fallback_set_info = null; // Track which album triggered the fallback
+    $defer_albums = false; // Sequential: an album with pages left holds back the albums after it
 
     foreach ($url_lines as $url_index => $url) {
         // Stop processing if we hit rate limiting
@@ -172,10 +267,35 @@ function flickr_justified_render_block($attributes) {
             break;
         }
 
+        if (isset($dividers_by_url[$url_index])) {
+            $dividers[count($photo_items)] = array_merge($dividers[count($photo_items)] ?? [], $dividers_by_url[$url_index]);
+            $divider_count += count($dividers_by_url[$url_index]);
+        }
+
         // Check if this URL has a fullRow flag from the images array
         $is_full_row = isset($full_row_flags[$url_index]) ? $full_row_flags[$url_index] : false;
+        $is_featured = $featured_flags[$url_index] ?? false;
+        $focal_point = $focal_points[$url_index] ?? null;
 
         $set_info = flickr_justified_parse_set_url($url);
+        if ($set_info && $defer_albums) {
+            // Lazy loading fetches this album from page 1 once the ones before it are done;
+            // the real page count comes with that first page
+            $set_metadata[] = [
+                'user_id' => $set_info['user_id'],
+                'photoset_id' => $set_info['photoset_id'],
+                'title' => 'album' === $group_by ? flickr_justified_get_album_title($set_info) : '',
+                'current_page' => 0,
+                'total_pages' => 1,
+                'total_photos' => 0,
+                'loaded_photos' => 0,
+                'has_more' => true,
+                'sort_order' => $sort_order,
+                'max_photos' => $max_photos,
+                'section' => $divider_count,
+            ];
+            continue;
+        }
         if ($set_info) {
             if ('views_desc' === $sort_order) {
                 // Use optimized query: get top N photos sorted by views from cache
@@ -234,6 +354,9 @@ function flickr_justified_render_block($attributes) {
                 } else {
                     $set_result = ['photos' => $top_photos];
                 }
+            } elseif (null !== $remaining_limit && 'numbered' === $pagination_mode) {
+                // Numbered pages need every photo up to the limit at once
+                $set_result = flickr_justified_get_photoset_photos_up_to($set_info['user_id'], $set_info['photoset_id'], $remaining_limit);
             } elseif (null !== $remaining_limit) {
                 // For input order with limit: use paginated fetching
                 $per_page = max(1, min(50, $remaining_limit));
@@ -298,8 +421,15 @@ function flickr_justified_render_block($attributes) {
                     'favorites' => 0,
                     'attribution_url' => $attribution_url,
                     'full_row' => $is_full_row,
+                    'album' => $set_info['photoset_id'],
                 ];
 
+                if ('date_taken' === $album_interleave && $is_flickr) {
+                    $item['taken'] = flickr_justified_get_photo_taken_date(
+                        flickr_justified_get_flickr_image_sizes_with_dimensions($photo_url, flickr_justified_get_available_flickr_sizes(true), true)
+                    );
+                }
+
                 if ($needs_stats && $is_flickr) {
                     // Try to get stats from cache (either photo_stats or photo_info)
                     $photo_id = flickr_justified_extract_photo_id($photo_url);
@@ -354,9 +484,21 @@ function flickr_justified_render_block($attributes) {
                     $has_more = false;
                 }
 
+                // Section headings need the album title; page results usually carry it
+                $album_title = isset($set_result['album_title']) && is_string($set_result['album_title']) ? $set_result['album_title'] : '';
+                if ('' === $album_title && 'album' === $group_by) {
+                    $album_title = flickr_justified_get_album_title($set_info);
+                }
+
+                // Numbered pages never load more, so every album is fetched here in order
+                if ('sequential' === $album_interleave && $has_more && 'numbered' !== $pagination_mode) {
+                    $defer_albums = true;
+                }
+
                 $set_metadata[] = [
                     'user_id' => $set_info['user_id'],
                     'photoset_id' => $set_info['photoset_id'],
+                    'title' => $album_title,
                     'current_page' => 1,
                     'total_pages' => isset($set_result['pages']) ? (int) $set_result['pages'] : 1,
                     'total_photos' => isset($set_result['total']) ? (int) $set_result['total'] : 0,
@@ -364,6 +506,7 @@ function flickr_justified_render_block($attributes) {
                     'has_more' => $has_more,
                     'sort_order' => $sort_order,
                     'max_photos' => $max_photos,
+                    'section' => $divider_count,
                 ];
             }
 
@@ -389,8 +532,16 @@ function flickr_justified_render_block($attributes) {
             'favorites' => 0,
             'attribution_url' => $url,
             'full_row' => $is_full_row,
+            'featured' => $is_featured,
+            'focal_point' => $focal_point,
         ];
 
+        if ('date_taken' === $album_interleave && $is_flickr) {
+            $item['taken'] = flickr_justified_get_photo_taken_date(
+                flickr_justified_get_flickr_image_sizes_with_dimensions($url, flickr_justified_get_available_flickr_sizes(true), true)
+            );
+        }
+
         if ($needs_stats && $is_flickr) {
             // Only use cached stats; do not fetch live to avoid blocking render.
             $photo_id = flickr_justified_extract_photo_id($url);
@@ -423,6 +574,12 @@ function flickr_justified_render_block($attributes) {
         }
     }
 
+    // Dividers after the last URL, unless the photo limit or rate limiting cut the gallery short
+    $trailing_dividers = $dividers_by_url[count($url_lines)] ?? [];
+    if (!empty($trailing_dividers) && !$rate_limited && (null === $remaining_limit || $remaining_limit > 0)) {
+        $dividers[count($photo_items)] = array_merge($dividers[count($photo_items)] ?? [], $trailing_dividers);
+    }
+
     // Show user-friendly message when rate limited and no photos available
     if ($rate_limited && empty($photo_items)) {
         return sprintf(
@@ -451,9 +608,36 @@ function flickr_justified_render_block($attributes) {
     // For views_desc, photos are already sorted and limited by get_top_viewed_photos_from_set()
     // For input order, no sorting needed and limit already applied during fetch
 
-    // Generate unique ID for this block instance
-    // Use target gallery ID if provided (from async loading), otherwise generate new one
-    $block_id = $attributes['_target_gallery_id'] ?? wp_unique_id('flickr-justified-');
+    // Merged albums: newest first, or most viewed first, whichever album a photo is from.
+    // Lazy loading merges each later round of pages the same way (lazy-loading.js).
+    if ('date_taken' === $album_interleave) {
+        usort($photo_items, static fn($a, $b) => [$b['taken'] ?? '', $a['position']] <=> [$a['taken'] ?? '', $b['position']]);
+    } elseif ('views' === $album_interleave) {
+        usort($photo_items, static fn($a, $b) => [$b['views'], $a['position']] <=> [$a['views'], $b['position']]);
+    }
+
+    if ('numbered' === $pagination_mode) {
+        // Pages split the whole gallery, so several albums or URLs are ranked together first
+        // (merged albums are ranked already)
+        if ('views_desc' === $sort_order && !$merge_albums) {
+            usort($photo_items, static fn($a, $b) => [$b['views'], $a['position']] <=> [$a['views'], $b['position']]);
+        }
+
+        $photos_per_page = isset($attributes['photosPerPage']) ? max(1, min(200, (int) $attributes['photosPerPage'])) : 24;
+        $total_pages = (int) ceil(count($photo_items) / $photos_per_page);
+        $current_page = min($requested_page, $total_pages);
+        $page_offset = ($current_page - 1) * $photos_per_page;
+
+        // Keep the page's dividers; those after the last photo close the last page
+        $page_dividers = [];
+        foreach ($dividers as $index => $index_dividers) {
+            if ($index >= $page_offset && ($index < $page_offset + $photos_per_page || $current_page === $total_pages)) {
+                $page_dividers[$index - $page_offset] = $index_dividers;
+            }
+        }
+        $dividers = $page_dividers;
+        $photo_items = array_slice($photo_items, $page_offset, $photos_per_page);
+    }
 
     $gallery_html = flickr_justified_render_justified_gallery(
         photos: $photo_items,
@@ -461,17 +645,37 @@ function flickr_justified_render_block($attributes) {
         gap: $gap,
         image_size: $image_size,
         responsive_settings: $responsive_settings,
+        responsive_overrides: $responsive_overrides,
+        layout: $layout,
+        grid_aspect_ratio: $grid_aspect_ratio,
         row_height_mode: $row_height_mode,
         row_height: $row_height,
         max_viewport_height: $max_viewport_height,
         single_image_alignment: $single_image_alignment,
+        last_row_behavior: $last_row_behavior,
+        min_aspect_ratio: $min_aspect_ratio,
+        max_aspect_ratio: $max_aspect_ratio,
+        auto_full_row_ratio: $auto_full_row_ratio,
+        virtualize: $virtualize,
+        layout_worker: $layout_worker,
+        animate_reflow: $animate_reflow,
+        group_by: $group_by,
+        dividers: $dividers,
+        row_height_tolerance: $row_height_tolerance,
+        pagination_mode: $pagination_mode,
+        album_interleave: $album_interleave,
         set_metadata: $set_metadata,
         context: [
             'photo_limit' => $max_photos,
             'sort_order' => $sort_order,
+            'post_id' => $post_id,
         ],
     );
 
+    if ('numbered' === $pagination_mode) {
+        $gallery_html .= flickr_justified_render_pagination($block_id, $current_page, $total_pages, $page_url);
+    }
+
     // Prepend message if rate limited with partial results
     if ($rate_limited && !empty($photo_items)) {
         $partial_count = count($photo_items);
@@ -3,7 +3,7 @@ import { Button } from '@wordpress/components';
 import { __ } from '@wordpress/i18n';
 import { parseUrlsFromText } from '../utils/url-helpers';
 
-export default function AddImagesZone( { onAdd } ) {
+export default function AddImagesZone( { onAdd, onAddDivider } ) {
 	const [ inputValue, setInputValue ] = useState( '' );
 	const inputRef = useRef( null );
 
@@ -56,6 +56,15 @@ export default function AddImagesZone( { onAdd } ) {
 			>
 				{ __( 'Add', 'flickr-justified-block' ) }
 			</Button>
+			{ onAddDivider ? (
+				<Button
+					variant="tertiary"
+					className="fjb-add-zone__btn"
+					onClick={ onAddDivider }
+				>
+					{ __( 'Add divider', 'flickr-justified-block' ) }
+				</Button>
+			) : null }
 		</div>
 	);
 }
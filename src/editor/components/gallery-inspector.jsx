@@ -4,10 +4,12 @@ import {
 	SelectControl,
 	ToggleControl,
 	TextControl,
+	TextareaControl,
 	Button,
 } from '@wordpress/components';
 import { InspectorControls } from '@wordpress/block-editor';
-import { __ } from '@wordpress/i18n';
+import { useState } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
 import { isAlbumUrl } from '../utils/url-helpers';
 
 export default function GalleryInspector( {
@@ -16,21 +18,60 @@ export default function GalleryInspector( {
 	selectedIndex,
 	imagesList,
 	onRemove,
-	onToggleFullRow,
+	onSetTileMode,
+	onSetFocalPoint,
 	onUpdateUrl,
+	onUpdateDivider,
 } ) {
 	const {
+		layout,
+		gridAspectRatio,
 		imageSize,
 		responsiveSettings,
+		responsiveOverrides,
 		rowHeightMode,
 		rowHeight,
+		rowHeightTolerance,
 		maxViewportHeight,
 		singleImageAlignment,
+		lastRowBehavior,
+		minAspectRatio,
+		maxAspectRatio,
+		autoFullRowRatio,
 		maxPhotos,
 		sortOrder,
+		albumInterleave,
+		groupBy,
+		paginationMode,
+		photosPerPage,
+		virtualize,
+		layoutWorker,
+		animateReflow,
 		gap,
 	} = attributes;
 
+	const isJustified = ! layout || layout === 'justified';
+	const [ overrideBreakpoint, setOverrideBreakpoint ] = useState( 'mobile' );
+	const activeOverrides =
+		( responsiveOverrides && responsiveOverrides[ overrideBreakpoint ] ) ||
+		{};
+
+	// Reset (undefined) drops the key, and empty breakpoints are dropped too
+	function setOverride( key, value ) {
+		const breakpointOverrides = { ...activeOverrides, [ key ]: value };
+		if ( value === undefined ) {
+			delete breakpointOverrides[ key ];
+		}
+		const newOverrides = {
+			...responsiveOverrides,
+			[ overrideBreakpoint ]: breakpointOverrides,
+		};
+		if ( Object.keys( breakpointOverrides ).length === 0 ) {
+			delete newOverrides[ overrideBreakpoint ];
+		}
+		setAttributes( { responsiveOverrides: newOverrides } );
+	}
+
 	const selectedImage =
 		selectedIndex !== null && imagesList[ selectedIndex ]
 			? imagesList[ selectedIndex ]
@@ -38,6 +79,29 @@ export default function GalleryInspector( {
 	const selectedIsAlbum = selectedImage
 		? isAlbumUrl( selectedImage.url )
 		: false;
+	const selectedIsDivider = !! ( selectedImage && selectedImage.divider );
+
+	let selectedTileMode = 'normal';
+	if ( selectedImage && selectedImage.fullRow ) {
+		selectedTileMode = 'fullRow';
+	} else if ( selectedImage && selectedImage.featured ) {
+		selectedTileMode = 'featured';
+	}
+
+	const tileModeHelp = {
+		normal: __(
+			'This image will share a row with other images.',
+			'flickr-justified-block'
+		),
+		fullRow: __(
+			'This image will display on its own row, filling the full width.',
+			'flickr-justified-block'
+		),
+		featured: __(
+			'This image spans two rows next to the following two images, stacked. Falls back to its own row when there are not two images to pair with or the gallery shows fewer than three per row. Applies to justified layout only.',
+			'flickr-justified-block'
+		),
+	};
 
 	const sizeOptions = [
 		{
@@ -86,7 +150,82 @@ export default function GalleryInspector( {
 
 	return (
 		<InspectorControls>
-			{ selectedImage ? (
+			{ selectedIsDivider ? (
+				<PanelBody
+					title={
+						__( 'Selected Divider', 'flickr-justified-block' ) +
+						' #' +
+						( selectedIndex + 1 )
+					}
+					initialOpen={ true }
+				>
+					<SelectControl
+						label={ __(
+							'Divider style',
+							'flickr-justified-block'
+						) }
+						value={ selectedImage.divider }
+						options={ [
+							{
+								label: __(
+									'Heading',
+									'flickr-justified-block'
+								),
+								value: 'heading',
+							},
+							{
+								label: __( 'Text', 'flickr-justified-block' ),
+								value: 'text',
+							},
+						] }
+						help={ __(
+							'Dividers break the gallery into separately justified segments. They are left out when sorting by views or grouping photos.',
+							'flickr-justified-block'
+						) }
+						onChange={ ( value ) => {
+							onUpdateDivider( selectedIndex, {
+								divider: value,
+							} );
+						} }
+					/>
+					{ selectedImage.divider === 'text' ? (
+						<TextareaControl
+							label={ __( 'Text', 'flickr-justified-block' ) }
+							value={ selectedImage.content || '' }
+							help={ __(
+								'A blank line starts a new paragraph. Basic HTML such as links and bold text is allowed.',
+								'flickr-justified-block'
+							) }
+							onChange={ ( value ) => {
+								onUpdateDivider( selectedIndex, {
+									content: value,
+								} );
+							} }
+						/>
+					) : (
+						<TextControl
+							label={ __( 'Heading', 'flickr-justified-block' ) }
+							value={ selectedImage.content || '' }
+							onChange={ ( value ) => {
+								onUpdateDivider( selectedIndex, {
+									content: value,
+								} );
+							} }
+						/>
+					) }
+					<Button
+						variant="secondary"
+						isDestructive={ true }
+						onClick={ () => {
+							onRemove( selectedIndex );
+						} }
+					>
+						{ __( 'Remove Divider', 'flickr-justified-block' ) }
+					</Button>
+				</PanelBody>
+			) : null }
+
+			{ selectedImage && ! selectedIsDivider ? (
 				<PanelBody
 					title={
 						( selectedIsAlbum
@@ -106,25 +245,38 @@ export default function GalleryInspector( {
 						} }
 					/>
 					{ ! selectedIsAlbum ? (
-						<ToggleControl
+						<SelectControl
 							label={ __(
-								'Full width row',
+								'Tile layout',
 								'flickr-justified-block'
 							) }
-							help={
-								selectedImage.fullRow
-									? __(
-											'This image will display on its own row, filling the full width.',
-											'flickr-justified-block'
-									  )
-									: __(
-											'This image will share a row with other images.',
-											'flickr-justified-block'
-									  )
-							}
-							checked={ selectedImage.fullRow }
-							onChange={ () => {
-								onToggleFullRow( selectedIndex );
+							value={ selectedTileMode }
+							options={ [
+								{
+									label: __(
+										'Normal',
+										'flickr-justified-block'
+									),
+									value: 'normal',
+								},
+								{
+									label: __(
+										'Full width row',
+										'flickr-justified-block'
+									),
+									value: 'fullRow',
+								},
+								{
+									label: __(
+										'Featured (spans two rows)',
+										'flickr-justified-block'
+									),
+									value: 'featured',
+								},
+							] }
+							help={ tileModeHelp[ selectedTileMode ] }
+							onChange={ ( value ) => {
+								onSetTileMode( selectedIndex, value );
 							} }
 						/>
 					) : (
@@ -136,11 +288,42 @@ export default function GalleryInspector( {
 							} }
 						>
 							{ __(
-								'Full width row is not available for albums. Album photos are expanded into individual images on the frontend.',
+								'Full width and featured tiles are not available for albums. Album photos are expanded into individual images on the frontend.',
 								'flickr-justified-block'
 							) }
 						</p>
 					) }
+					{ ! selectedIsAlbum ? (
+						<p style={ { fontSize: '12px', color: '#666' } }>
+							{ selectedImage.focalPoint
+								? sprintf(
+										/* translators: 1: horizontal position in percent, 2: vertical position in percent */
+										__(
+											'Focal point: %1$s%% across, %2$s%% down. Cropped layouts keep this spot in view.',
+											'flickr-justified-block'
+										),
+										selectedImage.focalPoint.x,
+										selectedImage.focalPoint.y
+								  )
+								: __(
+										'No focal point set. Use the target button on the image card, then click the part of the image to keep in view.',
+										'flickr-justified-block'
+								  ) }
+						</p>
+					) : null }
+					{ ! selectedIsAlbum && selectedImage.focalPoint ? (
+						<Button
+							variant="tertiary"
+							onClick={ () => {
+								onSetFocalPoint( selectedIndex, null );
+							} }
+						>
+							{ __(
+								'Reset focal point',
+								'flickr-justified-block'
+							) }
+						</Button>
+					) : null }
 					<Button
 						variant="secondary"
 						isDestructive={ true }
@@ -234,6 +417,174 @@ export default function GalleryInspector( {
 						} );
 					} }
 				/>
+				<SelectControl
+					label={ __( 'Multiple albums', 'flickr-justified-block' ) }
+					help={ __(
+						'When the gallery lists several albums: add a page of each in turn, show one album after another, or mix their photos by date taken or by views.',
+						'flickr-justified-block'
+					) }
+					value={ albumInterleave || 'round_robin' }
+					options={ [
+						{
+							label: __(
+								'A page of each in turn',
+								'flickr-justified-block'
+							),
+							value: 'round_robin',
+						},
+						{
+							label: __(
+								'One album after another',
+								'flickr-justified-block'
+							),
+							value: 'sequential',
+						},
+						{
+							label: __(
+								'Mixed, newest first',
+								'flickr-justified-block'
+							),
+							value: 'date_taken',
+						},
+						{
+							label: __(
+								'Mixed, most viewed first',
+								'flickr-justified-block'
+							),
+							value: 'views',
+						},
+					] }
+					onChange={ ( value ) => {
+						setAttributes( {
+							albumInterleave: value || 'round_robin',
+						} );
+					} }
+				/>
+				<SelectControl
+					label={ __( 'Album pages', 'flickr-justified-block' ) }
+					help={ __(
+						'How visitors get past the first page of a large album. Numbered pages replace the photos in place and put the page number in the address, so a page can be shared.',
+						'flickr-justified-block'
+					) }
+					value={ paginationMode || 'infinite' }
+					options={ [
+						{
+							label: __(
+								'Load while scrolling',
+								'flickr-justified-block'
+							),
+							value: 'infinite',
+						},
+						{
+							label: __(
+								'"Load more" button',
+								'flickr-justified-block'
+							),
+							value: 'button',
+						},
+						{
+							label: __(
+								'Numbered pages',
+								'flickr-justified-block'
+							),
+							value: 'numbered',
+						},
+					] }
+					onChange={ ( value ) => {
+						setAttributes( {
+							paginationMode: value || 'infinite',
+						} );
+					} }
+				/>
+				{ paginationMode === 'numbered' && (
+					<RangeControl
+						label={ __(
+							'Photos per page',
+							'flickr-justified-block'
+						) }
+						value={ photosPerPage || 24 }
+						onChange={ ( value ) => {
+							setAttributes( { photosPerPage: value || 24 } );
+						} }
+						min={ 1 }
+						max={ 200 }
+					/>
+				) }
+				<SelectControl
+					label={ __( 'Group photos', 'flickr-justified-block' ) }
+					help={ __(
+						'Show a heading above the photos of each album, or of each month they were taken, and lay out every group separately.',
+						'flickr-justified-block'
+					) }
+					value={ groupBy || 'none' }
+					options={ [
+						{
+							label: __(
+								'No grouping',
+								'flickr-justified-block'
+							),
+							value: 'none',
+						},
+						{
+							label: __( 'By album', 'flickr-justified-block' ),
+							value: 'album',
+						},
+						{
+							label: __(
+								'By month taken',
+								'flickr-justified-block'
+							),
+							value: 'date',
+						},
+					] }
+					onChange={ ( value ) => {
+						setAttributes( {
+							groupBy: value || 'none',
+						} );
+					} }
+				/>
+				<ToggleControl
+					label={ __(
+						'Virtualize large galleries',
+						'flickr-justified-block'
+					) }
+					help={ __(
+						'Only keep rows near the screen in the page. Speeds up scrolling in albums with thousands of photos; the lightbox still shows every photo.',
+						'flickr-justified-block'
+					) }
+					checked={ !! virtualize }
+					onChange={ ( value ) => {
+						setAttributes( { virtualize: value } );
+					} }
+				/>
+				<ToggleControl
+					label={ __(
+						'Compute layout in the background',
+						'flickr-justified-block'
+					) }
+					help={ __(
+						'For galleries with hundreds of photos, work out rows in a background thread so the page stays responsive. Smaller galleries and browsers without Web Worker support lay out as usual.',
+						'flickr-justified-block'
+					) }
+					checked={ !! layoutWorker }
+					onChange={ ( value ) => {
+						setAttributes( { layoutWorker: value } );
+					} }
+				/>
+				<ToggleControl
+					label={ __(
+						'Animate layout changes',
+						'flickr-justified-block'
+					) }
+					help={ __(
+						'Photos glide to their new place when the gallery re-flows after a resize or when more photos load. Visitors who prefer reduced motion see the change instantly.',
+						'flickr-justified-block'
+					) }
+					checked={ !! animateReflow }
+					onChange={ ( value ) => {
+						setAttributes( { animateReflow: value } );
+					} }
+				/>
 				<p
 					style={ {
 						fontSize: '12px',
@@ -264,58 +615,204 @@ export default function GalleryInspector( {
 					} }
 				/>
 				<SelectControl
-					label={ __(
-						'Row height mode',
-						'flickr-justified-block'
-					) }
+					label={ __( 'Layout', 'flickr-justified-block' ) }
 					help={ __(
-						'Auto adjusts row height to fill container width perfectly. Fixed uses a specific pixel height.',
+						'Justified fills rows edge to edge. Masonry stacks images in columns and suits portrait-heavy galleries. Uniform grid crops every image to the same cell shape. Masonry and grid take their column counts from Responsive Settings.',
 						'flickr-justified-block'
 					) }
-					value={ rowHeightMode || 'auto' }
+					value={ layout || 'justified' }
 					options={ [
 						{
 							label: __(
-								'Auto (fill width)',
+								'Justified rows',
 								'flickr-justified-block'
 							),
-							value: 'auto',
+							value: 'justified',
 						},
 						{
 							label: __(
-								'Fixed height',
+								'Masonry columns',
 								'flickr-justified-block'
 							),
-							value: 'fixed',
+							value: 'masonry',
+						},
+						{
+							label: __(
+								'Uniform grid',
+								'flickr-justified-block'
+							),
+							value: 'grid',
 						},
 					] }
 					onChange={ ( value ) => {
 						setAttributes( {
-							rowHeightMode: value || 'auto',
+							layout: value || 'justified',
 						} );
 					} }
 				/>
-				{ rowHeightMode === 'fixed' && (
-					<RangeControl
+				{ layout === 'grid' && (
+					<SelectControl
 						label={ __(
-							'Row height (px)',
+							'Cell aspect ratio',
 							'flickr-justified-block'
 						) }
 						help={ __(
-							'Fixed height for all gallery rows. Images will scale to fit this height.',
+							'Images are cropped to this shape. Set a focal point on an image to choose which part stays in view.',
 							'flickr-justified-block'
 						) }
-						min={ 120 }
-						max={ 500 }
-						step={ 10 }
-						value={ rowHeight ?? 280 }
+						value={ gridAspectRatio || '1:1' }
+						options={ [
+							{
+								label: __(
+									'Square (1:1)',
+									'flickr-justified-block'
+								),
+								value: '1:1',
+							},
+							{
+								label: __(
+									'Landscape (4:3)',
+									'flickr-justified-block'
+								),
+								value: '4:3',
+							},
+							{
+								label: __(
+									'Landscape (3:2)',
+									'flickr-justified-block'
+								),
+								value: '3:2',
+							},
+							{
+								label: __(
+									'Widescreen (16:9)',
+									'flickr-justified-block'
+								),
+								value: '16:9',
+							},
+							{
+								label: __(
+									'Portrait (3:4)',
+									'flickr-justified-block'
+								),
+								value: '3:4',
+							},
+							{
+								label: __(
+									'Portrait (2:3)',
+									'flickr-justified-block'
+								),
+								value: '2:3',
+							},
+						] }
 						onChange={ ( value ) => {
 							setAttributes( {
-								rowHeight: value ?? 280,
+								gridAspectRatio: value || '1:1',
 							} );
 						} }
 					/>
 				) }
+				{ isJustified && (
+					<>
+						<SelectControl
+							label={ __(
+								'Row height mode',
+								'flickr-justified-block'
+							) }
+							help={ __(
+								'Auto adjusts row height to fill container width perfectly. Fixed uses a specific pixel height. Optimal picks row breaks across the whole gallery so every row stays close to the target height.',
+								'flickr-justified-block'
+							) }
+							value={ rowHeightMode || 'auto' }
+							options={ [
+								{
+									label: __(
+										'Auto (fill width)',
+										'flickr-justified-block'
+									),
+									value: 'auto',
+								},
+								{
+									label: __(
+										'Fixed height',
+										'flickr-justified-block'
+									),
+									value: 'fixed',
+								},
+								{
+									label: __(
+										'Optimal (balanced rows)',
+										'flickr-justified-block'
+									),
+									value: 'optimal',
+								},
+							] }
+							onChange={ ( value ) => {
+								setAttributes( {
+									rowHeightMode: value || 'auto',
+								} );
+							} }
+						/>
+						{ ( rowHeightMode === 'fixed' ||
+							rowHeightMode === 'optimal' ) && (
+							<RangeControl
+								label={
+									rowHeightMode === 'optimal'
+										? __(
+												'Target row height (px)',
+												'flickr-justified-block'
+										  )
+										: __(
+												'Row height (px)',
+												'flickr-justified-block'
+										  )
+								}
+								help={
+									rowHeightMode === 'optimal'
+										? __(
+												'Rows are balanced around this height. Images per row are chosen automatically, so the responsive column settings are ignored.',
+												'flickr-justified-block'
+										  )
+										: __(
+												'Fixed height for all gallery rows. Images will scale to fit this height.',
+												'flickr-justified-block'
+										  )
+								}
+								min={ 120 }
+								max={ 500 }
+								step={ 10 }
+								value={ rowHeight ?? 280 }
+								onChange={ ( value ) => {
+									setAttributes( {
+										rowHeight: value ?? 280,
+									} );
+								} }
+							/>
+						) }
+						{ ( rowHeightMode === 'fixed' ||
+							rowHeightMode === 'optimal' ) && (
+							<RangeControl
+								label={ __(
+									'Row height tolerance (%)',
+									'flickr-justified-block'
+								) }
+								help={ __(
+									'Lets rows grow up to this much taller than the row height so they fill the width with every image uncropped. A row that would need more ends short of the full width. 0 keeps rows at the row height.',
+									'flickr-justified-block'
+								) }
+								min={ 0 }
+								max={ 50 }
+								step={ 5 }
+								value={ rowHeightTolerance ?? 0 }
+								onChange={ ( value ) => {
+									setAttributes( {
+										rowHeightTolerance: value ?? 0,
+									} );
+								} }
+							/>
+						) }
+					</>
+				) }
 				<RangeControl
 					label={ __(
 						'Max viewport height (%)',
@@ -341,7 +838,7 @@ export default function GalleryInspector( {
 						'flickr-justified-block'
 					) }
 					help={ __(
-						'Horizontal alignment when there is only one image in the entire gallery.',
+						'Horizontal alignment when there is only one image in the entire gallery. Left and right are mirrored in right-to-left galleries.',
 						'flickr-justified-block'
 					) }
 					value={ singleImageAlignment || 'center' }
@@ -374,6 +871,126 @@ export default function GalleryInspector( {
 						} );
 					} }
 				/>
+				{ isJustified && rowHeightMode !== 'optimal' && (
+					<SelectControl
+						label={ __( 'Last row', 'flickr-justified-block' ) }
+						help={ __(
+							'How to display a last row that has fewer images than the others; left and right are mirrored in right-to-left galleries. Hidden images are still reachable in the lightbox.',
+							'flickr-justified-block'
+						) }
+						value={ lastRowBehavior || 'justify' }
+						options={ [
+							{
+								label: __(
+									'Justify (fill width)',
+									'flickr-justified-block'
+								),
+								value: 'justify',
+							},
+							{
+								label: __(
+									'Align left',
+									'flickr-justified-block'
+								),
+								value: 'left',
+							},
+							{
+								label: __(
+									'Align center',
+									'flickr-justified-block'
+								),
+								value: 'center',
+							},
+							{
+								label: __(
+									'Align right',
+									'flickr-justified-block'
+								),
+								value: 'right',
+							},
+							{
+								label: __(
+									'Hide incomplete row',
+									'flickr-justified-block'
+								),
+								value: 'hide',
+							},
+							{
+								label: __(
+									'Balance with row above',
+									'flickr-justified-block'
+								),
+								value: 'balance',
+							},
+						] }
+						onChange={ ( value ) => {
+							setAttributes( {
+								lastRowBehavior: value || 'justify',
+							} );
+						} }
+					/>
+				) }
+				{ layout !== 'grid' && (
+					<>
+						<RangeControl
+							label={ __(
+								'Narrowest shape in a row',
+								'flickr-justified-block'
+							) }
+							help={ __(
+								'Width ÷ height. Taller images are cropped to this shape so they do not squeeze the rest of their row. Reset to turn off.',
+								'flickr-justified-block'
+							) }
+							min={ 0.2 }
+							max={ 1 }
+							step={ 0.05 }
+							value={ minAspectRatio }
+							initialPosition={ 0.5 }
+							allowReset
+							onChange={ ( value ) => {
+								setAttributes( { minAspectRatio: value } );
+							} }
+						/>
+						<RangeControl
+							label={ __(
+								'Widest shape in a row',
+								'flickr-justified-block'
+							) }
+							help={ __(
+								'Width ÷ height. Wider images are cropped to this shape so the rest of their row does not shrink to thumbnails. Reset to turn off.',
+								'flickr-justified-block'
+							) }
+							min={ 1 }
+							max={ 6 }
+							step={ 0.1 }
+							value={ maxAspectRatio }
+							initialPosition={ 3 }
+							allowReset
+							onChange={ ( value ) => {
+								setAttributes( { maxAspectRatio: value } );
+							} }
+						/>
+					</>
+				) }
+				<RangeControl
+					label={ __(
+						'Own row for panoramas wider than',
+						'flickr-justified-block'
+					) }
+					help={ __(
+						'Width ÷ height. Images at least this wide get a full width row, uncropped, like the Full width row tile setting. Reset to turn off.',
+						'flickr-justified-block'
+					) }
+					min={ 2 }
+					max={ 10 }
+					step={ 0.5 }
+					value={ autoFullRowRatio }
+					initialPosition={ 4 }
+					allowReset
+					onChange={ ( value ) => {
+						setAttributes( { autoFullRowRatio: value } );
+					} }
+				/>
 			</PanelBody>
 			<PanelBody
 				title={ __(
@@ -390,7 +1007,7 @@ export default function GalleryInspector( {
 					} }
 				>
 					{ __(
-						'Configure how many images per row to display at different screen sizes. Breakpoint sizes are configured in Settings - Flickr Justified.',
+						'Configure how many images per row (or columns, in masonry layout) to display at different screen sizes. Breakpoint sizes are configured in Settings - Flickr Justified.',
 						'flickr-justified-block'
 					) }
 				</p>
@@ -424,6 +1041,76 @@ export default function GalleryInspector( {
 						/>
 					)
 				) }
+
+				<SelectControl
+					label={ __(
+						'Breakpoint overrides',
+						'flickr-justified-block'
+					) }
+					help={ __(
+						'Use a different gap, row height or max viewport height at one screen size. Values left unset use the block settings above.',
+						'flickr-justified-block'
+					) }
+					value={ overrideBreakpoint }
+					options={ Object.keys( breakpointLabels ).map(
+						( breakpointKey ) => ( {
+							label:
+								breakpointLabels[ breakpointKey ] +
+								( responsiveOverrides &&
+								responsiveOverrides[ breakpointKey ]
+									? ' *'
+									: '' ),
+							value: breakpointKey,
+						} )
+					) }
+					onChange={ setOverrideBreakpoint }
+				/>
+				<RangeControl
+					label={ __( 'Grid gap (px)', 'flickr-justified-block' ) }
+					min={ 0 }
+					max={ 64 }
+					step={ 1 }
+					value={ activeOverrides.gap }
+					initialPosition={ gap ?? 12 }
+					allowReset
+					onChange={ ( value ) => {
+						setOverride( 'gap', value );
+					} }
+				/>
+				{ isJustified &&
+					( rowHeightMode === 'fixed' ||
+						rowHeightMode === 'optimal' ) && (
+						<RangeControl
+							label={ __(
+								'Row height (px)',
+								'flickr-justified-block'
+							) }
+							min={ 120 }
+							max={ 500 }
+							step={ 10 }
+							value={ activeOverrides.rowHeight }
+							initialPosition={ rowHeight ?? 280 }
+							allowReset
+							onChange={ ( value ) => {
+								setOverride( 'rowHeight', value );
+							} }
+						/>
+					) }
+				<RangeControl
+					label={ __(
+						'Max viewport height (%)',
+						'flickr-justified-block'
+					) }
+					min={ 30 }
+					max={ 100 }
+					step={ 5 }
+					value={ activeOverrides.maxViewportHeight }
+					initialPosition={ maxViewportHeight ?? 80 }
+					allowReset
+					onChange={ ( value ) => {
+						setOverride( 'maxViewportHeight', value );
+					} }
+				/>
 			</PanelBody>
 		</InspectorControls>
 	);
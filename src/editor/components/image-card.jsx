@@ -3,6 +3,27 @@ import { __ } from '@wordpress/i18n';
 import apiFetch from '@wordpress/api-fetch';
 import { isAlbumUrl, isFlickrPhotoUrl } from '../utils/url-helpers';
 
+// Map a click to percentages of the image itself. While picking, the image is
+// shown uncropped (object-fit: contain), so the letterbox is subtracted first.
+function getFocalPointFromClick( event, img ) {
+	const rect = img.getBoundingClientRect();
+	const scale = Math.min(
+		rect.width / img.naturalWidth,
+		rect.height / img.naturalHeight
+	);
+	const width = img.naturalWidth * scale;
+	const height = img.naturalHeight * scale;
+	const left = rect.left + ( rect.width - width ) / 2;
+	const top = rect.top + ( rect.height - height ) / 2;
+	const toPercent = ( offset, size ) =>
+		Math.min( 100, Math.max( 0, Math.round( ( offset / size ) * 100 ) ) );
+
+	return {
+		x: toPercent( event.clientX - left, width ),
+		y: toPercent( event.clientY - top, height ),
+	};
+}
+
 export default function ImageCard( {
 	image,
 	index,
@@ -11,6 +32,7 @@ export default function ImageCard( {
 	onSelect,
 	onRemove,
 	onToggleFullRow,
+	onSetFocalPoint,
 	onMove,
 	dragOverIndex,
 	dragIndex,
@@ -18,11 +40,16 @@ export default function ImageCard( {
 	const [ imageData, setImageData ] = useState( null );
 	const [ loading, setLoading ] = useState( false );
 	const [ error, setError ] = useState( null );
+	const [ pickingFocalPoint, setPickingFocalPoint ] = useState( false );
 	const cardRef = useRef( null );
+	const imgRef = useRef( null );
 
+	const isDivider = !! image.divider;
 	const url = image.url;
 	const urlIsAlbum = isAlbumUrl( url );
 	const showFullRow = ! urlIsAlbum && image.fullRow;
+	const showFeatured = ! urlIsAlbum && ! showFullRow && image.featured;
+	const focalPoint = image.focalPoint;
 
 	useEffect( () => {
 		if ( ! url || ! url.trim() ) {
@@ -101,7 +128,9 @@ export default function ImageCard( {
 
 	let cardClasses = 'fjb-image-card';
 	if ( isSelected ) cardClasses += ' fjb-image-card--selected';
+	if ( isDivider ) cardClasses += ' fjb-image-card--divider';
 	if ( showFullRow ) cardClasses += ' fjb-image-card--full-row';
+	if ( showFeatured ) cardClasses += ' fjb-image-card--featured';
 	if ( isDragging ) cardClasses += ' fjb-image-card--dragging';
 	if ( isDropTarget ) cardClasses += ' fjb-image-card--drop-target';
 
@@ -112,7 +141,32 @@ export default function ImageCard( {
 
 	let cardContent;
 
-	if ( loading ) {
+	if ( isDivider ) {
+		// Text dividers may hold basic HTML; the card previews the words only
+		const preview = ( image.content || '' )
+			.replace( /<[^>]*>/g, '' )
+			.trim();
+		cardContent = (
+			<div className="fjb-image-card__divider">
+				<span className="fjb-image-card__divider-label">
+					{ image.divider === 'text'
+						? __( 'Text divider', 'flickr-justified-block' )
+						: __( 'Heading divider', 'flickr-justified-block' ) }
+				</span>
+				<span
+					className={
+						'fjb-image-card__divider-content' +
+						( image.divider === 'heading'
+							? ' fjb-image-card__divider-content--heading'
+							: '' )
+					}
+				>
+					{ preview ||
+						__( 'Select to add text', 'flickr-justified-block' ) }
+				</span>
+			</div>
+		);
+	} else if ( loading ) {
 		cardContent = (
 			<div className="fjb-image-card__loading">
 				<span className="fjb-image-card__spinner" />
@@ -141,11 +195,19 @@ export default function ImageCard( {
 			</div>
 		);
 	} else if ( imageData && imageData.success && imageData.image_url ) {
+		const imgStyle = {};
+		if ( pickingFocalPoint ) {
+			imgStyle.objectFit = 'contain';
+		} else if ( focalPoint ) {
+			imgStyle.objectPosition = `${ focalPoint.x }% ${ focalPoint.y }%`;
+		}
 		cardContent = (
 			<img
+				ref={ imgRef }
 				src={ imageData.image_url }
 				alt=""
 				className="fjb-image-card__img"
+				style={ imgStyle }
 				draggable={ false }
 			/>
 		);
@@ -190,8 +252,49 @@ export default function ImageCard( {
 				</span>
 			) : null }
 
+			{ showFeatured ? (
+				<span
+					className="fjb-image-card__fullrow-badge fjb-image-card__featured-badge"
+					title={ __( 'Featured', 'flickr-justified-block' ) }
+				>
+					{ '\u2605' }
+				</span>
+			) : null }
+
 			{ cardContent }
 
+			{ pickingFocalPoint ? (
+				<div
+					className="fjb-image-card__focal-picker"
+					role="presentation"
+					title={ __(
+						'Click the part of the image to keep in view',
+						'flickr-justified-block'
+					) }
+					onClick={ ( e ) => {
+						e.stopPropagation();
+						const img = imgRef.current;
+						if ( img && img.naturalWidth > 0 ) {
+							onSetFocalPoint(
+								index,
+								getFocalPointFromClick( e, img )
+							);
+						}
+						setPickingFocalPoint( false );
+					} }
+				/>
+			) : null }
+
+			{ focalPoint && ( isSelected || pickingFocalPoint ) ? (
+				<span
+					className="fjb-image-card__focal-marker"
+					style={ {
+						left: focalPoint.x + '%',
+						top: focalPoint.y + '%',
+					} }
+				/>
+			) : null }
+
 			<div className="fjb-image-card__overlay">
 				<button
 					className="fjb-image-card__btn fjb-image-card__btn--move"
@@ -218,7 +321,7 @@ export default function ImageCard( {
 				>
 					{ '\u2193' }
 				</button>
-				{ ! urlIsAlbum ? (
+				{ ! urlIsAlbum && ! isDivider ? (
 					<button
 						className={
 							'fjb-image-card__btn fjb-image-card__btn--fullrow' +
@@ -246,16 +349,45 @@ export default function ImageCard( {
 						{ '\u2194' }
 					</button>
 				) : null }
+				{ ! urlIsAlbum && imageData && imageData.image_url ? (
+					<button
+						className={
+							'fjb-image-card__btn fjb-image-card__btn--focal' +
+							( pickingFocalPoint || focalPoint
+								? ' fjb-image-card__btn--active'
+								: '' )
+						}
+						onClick={ ( e ) => {
+							e.stopPropagation();
+							setPickingFocalPoint( ! pickingFocalPoint );
+						} }
+						title={
+							pickingFocalPoint
+								? __(
+										'Cancel focal point',
+										'flickr-justified-block'
+								  )
+								: __(
+										'Set focal point',
+										'flickr-justified-block'
+								  )
+						}
+						type="button"
+					>
+						{ '\u2316' }
+					</button>
+				) : null }
 				<button
 					className="fjb-image-card__btn fjb-image-card__btn--remove"
 					onClick={ ( e ) => {
 						e.stopPropagation();
 						onRemove( index );
 					} }
-					title={ __(
-						'Remove image',
-						'flickr-justified-block'
-					) }
+					title={
+						isDivider
+							? __( 'Remove divider', 'flickr-justified-block' )
+							: __( 'Remove image', 'flickr-justified-block' )
+					}
 					type="button"
 				>
 					{ '\u2715' }
@@ -2,7 +2,12 @@ import { useState, useRef, useMemo, useEffect } from '@wordpress/element';
 import { useBlockProps } from '@wordpress/block-editor';
 import { useDispatch } from '@wordpress/data';
 import { __ } from '@wordpress/i18n';
-import { generateId, urlsToImages, parseUrlsFromText } from './utils/url-helpers';
+import {
+	generateId,
+	urlsToImages,
+	parseUrlsFromText,
+	createDivider,
+} from './utils/url-helpers';
 import useImageMigration from './hooks/use-image-migration';
 import useCardDragReorder from './hooks/use-card-drag-reorder';
 import useExternalDrop from './hooks/use-external-drop';
@@ -23,8 +28,8 @@ export default function FlickrJustifiedEdit( props ) {
 		return images.map( ( img ) => {
 			if ( img.id ) return img;
 			return {
+				...img,
 				id: generateId(),
-				url: img.url,
 				fullRow: !! img.fullRow,
 			};
 		} );
@@ -54,7 +59,7 @@ export default function FlickrJustifiedEdit( props ) {
 	function handleAddImages( newUrls ) {
 		const existingUrls = {};
 		imagesList.forEach( ( img ) => {
-			existingUrls[ img.url ] = true;
+			if ( img.url ) existingUrls[ img.url ] = true;
 		} );
 		const dedupedUrls = newUrls.filter( ( u ) => ! existingUrls[ u ] );
 		if ( dedupedUrls.length === 0 ) return;
@@ -62,6 +67,19 @@ export default function FlickrJustifiedEdit( props ) {
 		setAttributes( { images: newImages } );
 	}
 
+	// Dividers start as an empty heading, selected so the inspector can fill it in
+	function handleAddDivider() {
+		setAttributes( { images: imagesList.concat( createDivider() ) } );
+		setSelectedIndex( imagesList.length );
+	}
+
+	function handleUpdateDivider( idx, changes ) {
+		const newImages = imagesList.map( ( img, i ) =>
+			i === idx ? { ...img, ...changes } : img
+		);
+		setAttributes( { images: newImages } );
+	}
+
 	function handleRemove( idx ) {
 		const newImages = imagesList.filter( ( _, i ) => i !== idx );
 		setAttributes( { images: newImages } );
@@ -70,19 +88,35 @@ export default function FlickrJustifiedEdit( props ) {
 			setSelectedIndex( selectedIndex - 1 );
 	}
 
-	function handleToggleFullRow( idx ) {
+	// Full row and featured are mutually exclusive tile modes
+	function handleSetTileMode( idx, mode ) {
 		const newImages = imagesList.map( ( img, i ) => {
 			if ( i === idx )
 				return {
-					id: img.id,
-					url: img.url,
-					fullRow: ! img.fullRow,
+					...img,
+					fullRow: mode === 'fullRow',
+					featured: mode === 'featured',
 				};
 			return img;
 		} );
 		setAttributes( { images: newImages } );
 	}
 
+	function handleToggleFullRow( idx ) {
+		const img = imagesList[ idx ];
+		handleSetTileMode( idx, img && img.fullRow ? 'normal' : 'fullRow' );
+	}
+
+	function handleSetFocalPoint( idx, focalPoint ) {
+		const newImages = imagesList.map( ( img, i ) => {
+			if ( i !== idx ) return img;
+			const updated = { ...img, focalPoint };
+			if ( ! focalPoint ) delete updated.focalPoint;
+			return updated;
+		} );
+		setAttributes( { images: newImages } );
+	}
+
 	function handleSelect( idx ) {
 		setSelectedIndex( selectedIndex === idx ? null : idx );
 	}
@@ -106,7 +140,12 @@ export default function FlickrJustifiedEdit( props ) {
 	function handleUpdateUrl( idx, newUrl ) {
 		const newImages = imagesList.map( ( img, i ) => {
 			if ( i === idx )
-				return { id: img.id, url: newUrl, fullRow: img.fullRow };
+				return {
+					id: img.id,
+					url: newUrl,
+					fullRow: img.fullRow,
+					featured: img.featured,
+				};
 			return img;
 		} );
 		setAttributes( { images: newImages } );
@@ -136,8 +175,10 @@ export default function FlickrJustifiedEdit( props ) {
 				selectedIndex={ selectedIndex }
 				imagesList={ imagesList }
 				onRemove={ handleRemove }
-				onToggleFullRow={ handleToggleFullRow }
+				onSetTileMode={ handleSetTileMode }
+				onSetFocalPoint={ handleSetFocalPoint }
 				onUpdateUrl={ handleUpdateUrl }
+				onUpdateDivider={ handleUpdateDivider }
 			/>
 
 			{ imagesList.length > 0 ? (
@@ -159,12 +200,16 @@ export default function FlickrJustifiedEdit( props ) {
 								onSelect={ handleSelect }
 								onRemove={ handleRemove }
 								onToggleFullRow={ handleToggleFullRow }
+								onSetFocalPoint={ handleSetFocalPoint }
 								onMove={ handleMove }
 								dragOverIndex={ dragOverIndex }
 								dragIndex={ dragIndex }
 							/>
 						) ) }
-						<AddImagesZone onAdd={ handleAddImages } />
+						<AddImagesZone
+							onAdd={ handleAddImages }
+							onAddDivider={ handleAddDivider }
+						/>
 					</div>
 				) : (
 					<div
@@ -67,6 +67,7 @@ export default function useCardDragReorder(
 			const card = findCardFromEvent( e );
 			if ( ! card ) return;
 			if ( e.target.closest( '.fjb-image-card__overlay' ) ) return;
+			if ( e.target.closest( '.fjb-image-card__focal-picker' ) ) return;
 			if ( e.target.closest( '.fjb-add-zone' ) ) return;
 
 			const idx = parseInt(
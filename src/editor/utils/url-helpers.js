@@ -21,6 +21,10 @@ export function urlsToImages( urls ) {
 	return urls.map( ( url ) => ( { id: generateId(), url, fullRow: false } ) );
 }
 
+export function createDivider() {
+	return { id: generateId(), divider: 'heading', content: '' };
+}
+
 export function isAlbumUrl( url ) {
 	return /(?:www\.)?flickr\.com\/photos\/[^/]+\/(sets|albums)\/\d+/i.test( url );
 }
@@ -61,3 +61,7 @@ export function getAsyncNonce() {
 export function getSizeMap() {
 	return getConfig().sizeMap || {};
 }
+
+export function getAlbumConcurrency() {
+	return Math.max( 1, parseInt( getConfig().albumConcurrency, 10 ) || 3 );
+}
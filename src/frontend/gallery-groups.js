@@ -0,0 +1,255 @@
+/**
+ * Flickr Justified Gallery - Section Groups (ES Module)
+ *
+ * Opt-in (data-group-by="album" or "date") section headings. Each card carries
+ * a data-group key (photoset ID, or the month taken as YYYY-MM); cards of a
+ * group are kept together in order of first appearance, every group is laid
+ * out on its own, and its rows carry the same data-group key. Headings sit
+ * between the rows as direct children of the grid.
+ *
+ * Divider items (headings or text placed between photos in the editor) split
+ * an ungrouped grid the same way: the cards after each divider form a section
+ * keyed by the divider's position ("0" before the first one), and the divider
+ * element stands in for the heading. Later pages of an album join the section
+ * its first page was rendered in.
+ */
+
+const HEADING_CLASS = 'flickr-justified-group-heading';
+const DIVIDER_CLASS = 'flickr-justified-divider';
+
+function isGrouped( grid ) {
+	return grid.dataset.groupBy === 'album' || grid.dataset.groupBy === 'date';
+}
+
+// Read once: rebuilds move dividers through a staging fragment
+function getDividers( grid ) {
+	if ( ! grid._flickrDividers ) {
+		grid._flickrDividers = Array.from(
+			grid.querySelectorAll( `:scope > .${ DIVIDER_CLASS }` )
+		);
+	}
+	return grid._flickrDividers;
+}
+
+// Divider each album's photos follow, from the section the server counted
+// for it ("section" in data-set-metadata). Later pages of an album are
+// appended after every divider, so their position says nothing.
+function getAlbumDivider( grid, dividers, albumId ) {
+	if ( ! grid._flickrAlbumSections ) {
+		const sections = {};
+		JSON.parse( grid.dataset.setMetadata || '[]' ).forEach( ( set ) => {
+			if ( set && Number.isInteger( set.section ) ) {
+				sections[ set.photoset_id ] = set.section;
+			}
+		} );
+		grid._flickrAlbumSections = sections;
+	}
+	const section = grid._flickrAlbumSections[ albumId ];
+	if ( section === undefined ) {
+		return undefined;
+	}
+	return dividers[ section - 1 ] || null;
+}
+
+// Remember which divider each card follows: its album's, or else the one in
+// front of where it sits in the grid. Cards keep it when a rebuild moves them;
+// other cards that were never in the grid follow the last divider.
+function assignDividers( grid, cards, dividers ) {
+	const assign = ( card, fallback ) => {
+		if ( card._flickrDivider !== undefined ) {
+			return;
+		}
+		const albumDivider = card.dataset.album
+			? getAlbumDivider( grid, dividers, card.dataset.album )
+			: undefined;
+		card._flickrDivider =
+			albumDivider === undefined ? fallback : albumDivider;
+	};
+
+	let current = null;
+	Array.from( grid.children ).forEach( ( child ) => {
+		if ( child.classList.contains( DIVIDER_CLASS ) ) {
+			current = child;
+			return;
+		}
+		const row = child._flickrRow || child;
+		const members = row.classList.contains( 'flickr-justified-card' )
+			? [ row ]
+			: row.querySelectorAll( '.flickr-justified-card' );
+		members.forEach( ( card ) => assign( card, current ) );
+	} );
+
+	const last = dividers[ dividers.length - 1 ];
+	cards.forEach( ( card ) => assign( card, last ) );
+}
+
+// One section per divider plus the one before the first, empty ones included
+function splitAtDividers( grid, cards, dividers ) {
+	assignDividers( grid, cards, dividers );
+	const sections = Array.from(
+		{ length: dividers.length + 1 },
+		( _, index ) => ( { key: String( index ), cards: [] } )
+	);
+	cards.forEach( ( card ) => {
+		sections[ dividers.indexOf( card._flickrDivider ) + 1 ].cards.push(
+			card
+		);
+	} );
+	return sections;
+}
+
+function getAlbumTitle( grid, albumId ) {
+	if ( ! grid._flickrAlbumTitles ) {
+		const titles = {};
+		JSON.parse( grid.dataset.setMetadata || '[]' ).forEach( ( set ) => {
+			if ( set && set.title ) {
+				titles[ set.photoset_id ] = set.title;
+			}
+		} );
+		grid._flickrAlbumTitles = titles;
+	}
+	return grid._flickrAlbumTitles[ albumId ] || '';
+}
+
+// "2024-05" → "May 2024" in the page language
+function formatMonth( key ) {
+	const match = /^(\d{4})-(\d{2})$/.exec( key );
+	if ( ! match ) {
+		return '';
+	}
+	const date = new Date( Number( match[ 1 ] ), Number( match[ 2 ] ) - 1, 1 );
+	return date.toLocaleDateString(
+		document.documentElement.lang || undefined,
+		{
+			year: 'numeric',
+			month: 'long',
+		}
+	);
+}
+
+function createGroupHeading( grid, key ) {
+	if ( ! isGrouped( grid ) ) {
+		// Section "0" comes before the first divider and has none
+		return getDividers( grid )[ Number( key ) - 1 ] || null;
+	}
+
+	const label =
+		grid.dataset.groupBy === 'date'
+			? formatMonth( key )
+			: getAlbumTitle( grid, key );
+	if ( ! label ) {
+		return null;
+	}
+
+	const heading = document.createElement( 'h3' );
+	heading.className = HEADING_CLASS;
+	heading.dataset.group = key;
+	heading.textContent = label;
+	return heading;
+}
+
+/**
+ * Split cards into their groups, in order of each group's first card.
+ *
+ * Cards without a key (direct image URLs, unknown dates) form one unheaded
+ * group. An ungrouped grid with dividers comes back as one section per
+ * divider, including sections without cards so every divider keeps its
+ * place; any other grid comes back as a single group keyed null.
+ *
+ * @param {Element}   grid  `.flickr-justified-grid` element.
+ * @param {Element[]} cards Cards in display order.
+ * @return {Array<{key: ?string, cards: Element[]}>} Groups in display order.
+ */
+export function groupCards( grid, cards ) {
+	if ( ! isGrouped( grid ) ) {
+		const dividers = getDividers( grid );
+		return dividers.length
+			? splitAtDividers( grid, cards, dividers )
+			: [ { key: null, cards } ];
+	}
+
+	const groups = new Map();
+	cards.forEach( ( card ) => {
+		const key = card.dataset.group || '';
+		if ( ! groups.has( key ) ) {
+			groups.set( key, [] );
+		}
+		groups.get( key ).push( card );
+	} );
+	return Array.from( groups, ( [ key, members ] ) => ( {
+		key,
+		cards: members,
+	} ) );
+}
+
+/**
+ * Rows of a grid by group key, in display order.
+ *
+ * @param {Element[]} rows `.flickr-justified-row` elements in display order.
+ * @return {Map<?string, Element[]>} Rows per key; untagged rows share null.
+ */
+export function getRowGroups( rows ) {
+	const groups = new Map();
+	rows.forEach( ( row ) => {
+		const key = row.dataset.group ?? null;
+		if ( ! groups.has( key ) ) {
+			groups.set( key, [] );
+		}
+		groups.get( key ).push( row );
+	} );
+	return groups;
+}
+
+/**
+ * Tag freshly built rows with their group and, for a group that isn't on
+ * the page yet, put its heading (or divider) in front.
+ *
+ * @param {Element}          grid          `.flickr-justified-grid` element.
+ * @param {?string}          key           Group key; null for ungrouped grids.
+ * @param {DocumentFragment} staging       Row elements of the group.
+ * @param {boolean}          [withHeading] Add the group heading.
+ * @return {DocumentFragment} The same staging.
+ */
+export function wrapGroup( grid, key, staging, withHeading = true ) {
+	if ( key === null ) {
+		return staging;
+	}
+
+	Array.from( staging.children ).forEach( ( row ) => {
+		row.dataset.group = key;
+	} );
+
+	const heading = withHeading ? createGroupHeading( grid, key ) : null;
+	if ( heading ) {
+		staging.insertBefore( heading, staging.firstChild );
+	}
+	return staging;
+}
+
+/**
+ * Where a group that has no rows yet goes: in front of the divider that
+ * starts the next section, so sections stay in divider order. Other groups
+ * go at the end.
+ *
+ * @param {Element} grid `.flickr-justified-grid` element.
+ * @param {?string} key  Group key; null for ungrouped grids.
+ * @return {?Element} Divider to insert the group's rows before, or null to append them.
+ */
+export function getNextDivider( grid, key ) {
+	if ( key === null || isGrouped( grid ) ) {
+		return null;
+	}
+	return getDividers( grid )[ Number( key ) ] || null;
+}
+
+/**
+ * Headings currently in a grid, to drop after a full rebuild.
+ *
+ * @param {Element} grid `.flickr-justified-grid` element.
+ * @return {Element[]} Heading elements.
+ */
+export function getGroupHeadings( grid ) {
+	return Array.from(
+		grid.querySelectorAll( `:scope > .${ HEADING_CLASS }` )
+	);
+}
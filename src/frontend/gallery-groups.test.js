@@ -0,0 +1,97 @@
+/**
+ * Tests for the divider sections in ./gallery-groups.
+ */
+
+import { getNextDivider, groupCards } from './gallery-groups';
+
+function createCard( album ) {
+	const card = document.createElement( 'article' );
+	card.className = 'flickr-justified-card';
+	if ( album ) {
+		card.dataset.album = album;
+	}
+	return card;
+}
+
+function createDivider() {
+	const divider = document.createElement( 'h3' );
+	divider.className = 'flickr-justified-divider';
+	return divider;
+}
+
+// Grid with the set metadata the server renders
+function createGrid( sets ) {
+	const grid = document.createElement( 'div' );
+	grid.className = 'flickr-justified-grid';
+	grid.dataset.setMetadata = JSON.stringify( sets );
+	document.body.appendChild( grid );
+	return grid;
+}
+
+afterEach( () => {
+	document.body.innerHTML = '';
+} );
+
+describe( 'groupCards with dividers', () => {
+	it( 'keeps later pages of an album before the dividers after it', () => {
+		const grid = createGrid( [
+			{ photoset_id: 'a', section: 0 },
+			{ photoset_id: 'b', section: 1 },
+		] );
+		const firstPage = [ createCard( 'a' ), createCard( 'a' ) ];
+		const dividers = [ createDivider(), createDivider() ];
+		grid.append( ...firstPage, ...dividers );
+
+		const laterPages = [ createCard( 'a' ), createCard( 'b' ) ];
+		const sections = groupCards( grid, firstPage.concat( laterPages ) );
+
+		expect( sections.map( ( section ) => section.cards ) ).toEqual( [
+			[ ...firstPage, laterPages[ 0 ] ],
+			[ laterPages[ 1 ] ],
+			[],
+		] );
+	} );
+
+	it( 'places loose cards by their album on a rebuild', () => {
+		const grid = createGrid( [ { photoset_id: 'a', section: 0 } ] );
+		const card = createCard( 'a' );
+		const divider = createDivider();
+		// A rebuild appends new cards after everything else
+		grid.append( divider, card );
+
+		expect( groupCards( grid, [ card ] )[ 0 ].cards ).toEqual( [ card ] );
+	} );
+
+	it( 'puts other cards by where they sit in the grid', () => {
+		const grid = createGrid( [] );
+		const [ before, after ] = [ createCard(), createCard() ];
+		grid.append( before, createDivider(), after );
+
+		expect(
+			groupCards( grid, [ before, after ] ).map(
+				( section ) => section.cards
+			)
+		).toEqual( [ [ before ], [ after ] ] );
+	} );
+} );
+
+describe( 'getNextDivider', () => {
+	it( 'returns the divider that starts the next section', () => {
+		const grid = createGrid( [] );
+		const dividers = [ createDivider(), createDivider() ];
+		grid.append( ...dividers );
+
+		expect( getNextDivider( grid, '0' ) ).toBe( dividers[ 0 ] );
+		expect( getNextDivider( grid, '1' ) ).toBe( dividers[ 1 ] );
+		expect( getNextDivider( grid, '2' ) ).toBeNull();
+		expect( getNextDivider( grid, null ) ).toBeNull();
+	} );
+
+	it( 'appends new groups of a grouped grid', () => {
+		const grid = createGrid( [] );
+		grid.dataset.groupBy = 'album';
+		grid.append( createDivider() );
+
+		expect( getNextDivider( grid, 'a' ) ).toBeNull();
+	} );
+} );
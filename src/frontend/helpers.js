@@ -79,3 +79,49 @@ export function getPhotoLimit( gallery ) {
 	return parseInt( gallery.getAttribute( 'data-photo-limit' ) || '0', 10 );
 }
 
+/**
+ * Run an async task for every item, at most `limit` at a time.
+ *
+ * @param {Array}    items Items to process.
+ * @param {number}   limit Maximum tasks in flight.
+ * @param {Function} task  `( item, index ) => Promise`.
+ * @return {Promise<Array>} Task results in item order.
+ */
+export async function runWithConcurrency( items, limit, task ) {
+	const results = new Array( items.length );
+	let next = 0;
+
+	async function worker() {
+		while ( next < items.length ) {
+			const index = next++;
+			results[ index ] = await task( items[ index ], index );
+		}
+	}
+
+	await Promise.all(
+		Array.from( { length: Math.min( limit, items.length ) }, worker )
+	);
+	return results;
+}
+
+/**
+ * Reserve each set's share of the remaining photo limit, in set order.
+ * Without a limit every set may add a full page.
+ *
+ * @param {Array<Object>} sets         Sets fetched this round.
+ * @param {number}        photoLimit   Gallery's photo limit, 0 for none.
+ * @param {number}        loadedBefore Photos already in the gallery.
+ * @param {number}        pageSize     Most photos one page of a set holds.
+ * @return {Array<{quota: number, offset: number}>} Photos each set may add, and how many earlier sets reserved.
+ */
+export function reserveSetQuotas( sets, photoLimit, loadedBefore, pageSize ) {
+	let reserved = 0;
+	return sets.map( () => {
+		const remaining =
+			photoLimit > 0 ? photoLimit - loadedBefore - reserved : pageSize;
+		const quota = Math.max( 0, Math.min( pageSize, remaining ) );
+		const offset = reserved;
+		reserved += quota;
+		return { quota, offset };
+	} );
+}
@@ -0,0 +1,112 @@
+/**
+ * Tests for the album paging helpers in ./helpers.
+ */
+
+import { reserveSetQuotas, runWithConcurrency } from './helpers';
+
+const PAGE_SIZE = 50;
+const sets = [
+	{ photoset_id: 'a' },
+	{ photoset_id: 'b' },
+	{ photoset_id: 'c' },
+];
+
+function totalQuota( quotas ) {
+	return quotas.reduce( ( sum, { quota } ) => sum + quota, 0 );
+}
+
+describe( 'reserveSetQuotas', () => {
+	it( 'gives every set a full page without a limit', () => {
+		expect( reserveSetQuotas( sets, 0, 120, PAGE_SIZE ) ).toEqual( [
+			{ quota: 50, offset: 0 },
+			{ quota: 50, offset: 50 },
+			{ quota: 50, offset: 100 },
+		] );
+	} );
+
+	it( 'shares the remaining limit in set order', () => {
+		expect( reserveSetQuotas( sets, 100, 30, PAGE_SIZE ) ).toEqual( [
+			{ quota: 50, offset: 0 },
+			{ quota: 20, offset: 50 },
+			{ quota: 0, offset: 70 },
+		] );
+	} );
+
+	it.each( [
+		[ 1, 0 ],
+		[ 60, 0 ],
+		[ 100, 30 ],
+		[ 200, 199 ],
+		[ 40, 40 ],
+		[ 40, 55 ],
+	] )(
+		'never reserves more than the limit of %i leaves after %i',
+		( photoLimit, loadedBefore ) => {
+			const quotas = reserveSetQuotas(
+				sets,
+				photoLimit,
+				loadedBefore,
+				PAGE_SIZE
+			);
+
+			expect( totalQuota( quotas ) ).toBeLessThanOrEqual(
+				Math.max( 0, photoLimit - loadedBefore )
+			);
+			quotas.forEach( ( { quota } ) => {
+				expect( quota ).toBeGreaterThanOrEqual( 0 );
+			} );
+		}
+	);
+
+	it( 'hands a share a set left unused to the next round', () => {
+		const first = reserveSetQuotas( sets, 80, 0, PAGE_SIZE );
+		expect( first.map( ( { quota } ) => quota ) ).toEqual( [ 50, 30, 0 ] );
+
+		// The first set's page held only 10 photos; the second filled its share
+		const loaded = 10 + 30;
+		const second = reserveSetQuotas( sets, 80, loaded, PAGE_SIZE );
+
+		expect( second.map( ( { quota } ) => quota ) ).toEqual( [ 40, 0, 0 ] );
+		expect( loaded + totalQuota( second ) ).toBe( 80 );
+	} );
+} );
+
+describe( 'runWithConcurrency', () => {
+	it( 'keeps at most the limit of tasks in flight', async () => {
+		let inFlight = 0;
+		let maxInFlight = 0;
+		const delays = [ 5, 1, 3, 0, 2, 4, 1 ];
+
+		const results = await runWithConcurrency(
+			delays,
+			3,
+			async ( delay, index ) => {
+				inFlight++;
+				maxInFlight = Math.max( maxInFlight, inFlight );
+				await new Promise( ( resolve ) =>
+					setTimeout( resolve, delay )
+				);
+				inFlight--;
+				return index;
+			}
+		);
+
+		expect( maxInFlight ).toBe( 3 );
+		expect( results ).toEqual( [ 0, 1, 2, 3, 4, 5, 6 ] );
+	} );
+
+	it( 'starts no more tasks than there are items', async () => {
+		const task = jest.fn( async ( item ) => item * 2 );
+
+		await expect(
+			runWithConcurrency( [ 1, 2 ], 4, task )
+		).resolves.toEqual( [ 2, 4 ] );
+		expect( task ).toHaveBeenCalledTimes( 2 );
+	} );
+
+	it( 'resolves to no results without items', async () => {
+		await expect( runWithConcurrency( [], 2, jest.fn() ) ).resolves.toEqual(
+			[]
+		);
+	} );
+} );
@@ -0,0 +1,47 @@
+/**
+ * Flickr Justified Gallery - Image Placeholders
+ *
+ * Flickr cards carry a tiny thumbnail (data-placeholder, painted blurred by
+ * the stylesheet through --flickr-placeholder). A photo that hasn't loaded by
+ * the time its card is first laid out is hidden behind that thumbnail and
+ * fades in once it arrives. Photos that are already there, and later upgrades
+ * to a larger size, are never hidden again.
+ */
+
+import { getGridCards } from './virtual-rows';
+
+const LOADING_CLASS = 'flickr-image-loading';
+
+function watchCardImage( card ) {
+	if ( card._flickrPlaceholderSeen || ! card.dataset.placeholder ) {
+		return;
+	}
+	const img = card.querySelector( 'img' );
+	if ( ! img ) {
+		return;
+	}
+	card._flickrPlaceholderSeen = true;
+
+	if ( img.complete && img.naturalWidth > 0 ) {
+		return;
+	}
+
+	// Errors keep the blurred thumbnail: image-fallback retries the photo
+	// with fresh URLs, and the retry's load reveals it
+	card.classList.add( LOADING_CLASS );
+	img.addEventListener(
+		'load',
+		() => {
+			card.classList.remove( LOADING_CLASS );
+		},
+		{ once: true }
+	);
+}
+
+document.addEventListener( 'flickrGalleryReorganized', ( event ) => {
+	const grid = event.detail && event.detail.grid;
+	if ( ! grid ) {
+		return;
+	}
+	getGridCards( grid ).forEach( watchCardImage );
+} );
@@ -0,0 +1,138 @@
+/**
+ * Flickr Justified Gallery - Per-card Image Resolution
+ *
+ * The block's image size is only the server's first guess. After a layout pass
+ * each Flickr card it added or resized picks the smallest size from its srcset
+ * that covers its rendered box at the device pixel ratio, and `sizes` is
+ * rewritten to the rendered width. A card that grows on resize is upgraded; a card that shrinks
+ * keeps the larger file it has already loaded.
+ */
+
+import { getSizeMap } from './config';
+import { getGridCards } from './virtual-rows';
+
+// "…/123_abc_b.jpg" → "b"; sizes without a suffix (Medium 500) give null
+function getSizeSuffix( url ) {
+	const match = url.match( /_([a-z]{1,2})\.(?:jpe?g|png|webp)(?:\?|$)/i );
+	return match ? match[ 1 ] : null;
+}
+
+// Square crops (thumbnail150s, thumbnail75s) can't stand in for the photo
+function isSquareSize( sizeName ) {
+	return /^thumbnail\d+s$/.test( sizeName || '' );
+}
+
+// srcset candidates by width, read once per srcset the server or the image
+// fallback wrote; our own single-candidate srcset doesn't replace them
+function getCandidates( img ) {
+	const srcset = img.getAttribute( 'srcset' ) || '';
+	if ( img._flickrCandidates && srcset === img._flickrSrcset ) {
+		return img._flickrCandidates;
+	}
+
+	const sizeMap = getSizeMap();
+	img._flickrCandidates = srcset
+		.split( ',' )
+		.map( ( entry ) => {
+			const [ url, descriptor ] = entry.trim().split( /\s+/ );
+			return { url, width: parseInt( descriptor, 10 ) };
+		} )
+		.filter(
+			( candidate ) =>
+				candidate.url &&
+				candidate.width > 0 &&
+				! isSquareSize( sizeMap[ getSizeSuffix( candidate.url ) ] )
+		)
+		.sort( ( a, b ) => a.width - b.width );
+	img._flickrSrcset = srcset;
+	return img._flickrCandidates;
+}
+
+// Pixels of photo width needed: object-fit: cover scales the photo until it
+// fills both sides of the box
+function getRequiredWidth( card, width, height ) {
+	const ratio = Number( card.dataset.width ) / Number( card.dataset.height );
+	const coverWidth =
+		ratio > 0 && height > 0 ? Math.max( width, height * ratio ) : width;
+	return Math.ceil( coverWidth * ( window.devicePixelRatio || 1 ) );
+}
+
+function updateCardImage( card ) {
+	const img = card.querySelector( 'img' );
+	const width = parseFloat( card.style.width );
+	if ( ! img || ! ( width > 0 ) ) {
+		return;
+	}
+
+	const candidates = getCandidates( img );
+	if ( candidates.length === 0 ) {
+		return;
+	}
+
+	img.sizes = Math.round( width ) + 'px';
+
+	const required = getRequiredWidth(
+		card,
+		width,
+		parseFloat( card.style.height )
+	);
+	const best =
+		candidates.find( ( candidate ) => candidate.width >= required ) ||
+		candidates[ candidates.length - 1 ];
+	const currentUrl = img.currentSrc || img.getAttribute( 'src' );
+	const current = candidates.find(
+		( candidate ) => candidate.url === currentUrl
+	);
+
+	// A loaded photo only ever upgrades: a smaller file would be a second
+	// download for less detail
+	const keepCurrent =
+		current &&
+		( best.width === current.width ||
+			( img.complete && best.width < current.width ) );
+	const target = keepCurrent ? current : best;
+	const srcset = `${ target.url } ${ target.width }w`;
+	if ( img.getAttribute( 'srcset' ) === srcset ) {
+		return;
+	}
+
+	img.setAttribute( 'srcset', srcset );
+	img._flickrSrcset = srcset;
+	img.src = target.url;
+}
+
+// Box and pixel ratio a card's image was last picked for
+function getBoxKey( card ) {
+	return `${ card.style.width }x${ card.style.height }@${
+		window.devicePixelRatio || 1
+	}`;
+}
+
+// Cards added since the last pass, resized by it, or whose srcset was
+// rewritten by someone else (the image fallback)
+function needsUpdate( card, boxKey ) {
+	if ( card._flickrImageBox !== boxKey ) {
+		return true;
+	}
+	const img = card.querySelector( 'img' );
+	return (
+		!! img && ( img.getAttribute( 'srcset' ) || '' ) !== img._flickrSrcset
+	);
+}
+
+document.addEventListener( 'flickrGalleryReorganized', ( event ) => {
+	const grid = event.detail && event.detail.grid;
+	if ( ! grid ) {
+		return;
+	}
+	// Unmounted rows of virtualized galleries are updated too; their images
+	// load once the rows come back
+	getGridCards( grid ).forEach( ( card ) => {
+		const boxKey = getBoxKey( card );
+		if ( ! needsUpdate( card, boxKey ) ) {
+			return;
+		}
+		card._flickrImageBox = boxKey;
+		updateCardImage( card );
+	} );
+} );
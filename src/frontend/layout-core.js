@@ -0,0 +1,800 @@
+/**
+ * Flickr Justified Gallery - Layout Core
+ *
+ * Pure row/box geometry for the justified layout. No DOM access: callers pass
+ * plain numbers and get plain objects back, so the same math can run in the
+ * frontend, the block editor, a worker or a headless renderer.
+ */
+
+export const LAYOUT_JUSTIFIED = 'justified';
+export const LAYOUT_MASONRY = 'masonry';
+export const LAYOUT_GRID = 'grid';
+
+export const ROW_HEIGHT_MODE_AUTO = 'auto';
+export const ROW_HEIGHT_MODE_FIXED = 'fixed';
+export const ROW_HEIGHT_MODE_OPTIMAL = 'optimal';
+
+export const LAST_ROW_JUSTIFY = 'justify';
+export const LAST_ROW_HIDE = 'hide';
+export const LAST_ROW_BALANCE = 'balance';
+
+// Shape for items whose aspect ratio is missing, zero or not a number
+export const FALLBACK_ASPECT_RATIO = 3 / 2;
+
+// Auto-height rows never shrink below this, however many images they hold
+const MIN_AUTO_ROW_HEIGHT = 100;
+
+// Optimal mode stops growing a row once its height falls below this fraction
+// of the target — such rows can never win and would make the search O(n²).
+const MIN_OPTIMAL_ROW_RATIO = 0.25;
+
+/**
+ * @typedef {Object} LayoutBox
+ * @property {number} index  Position of the item in the input arrays.
+ * @property {number} left   Offset from the container's inline-start edge in px
+ *                           (its right edge in right-to-left galleries).
+ * @property {number} top    Offset from the container's top edge in px.
+ * @property {number} width  Rendered width in px.
+ * @property {number} height Rendered height in px.
+ */
+
+/**
+ * @typedef {Object} LayoutRow
+ * @property {number}      top       Offset from the container's top edge in px.
+ * @property {number}      height    Row height in px.
+ * @property {boolean}     isFullRow Row holds a single full-row item.
+ * @property {LayoutBox[]} boxes     Boxes in display order.
+ * @property {boolean}     [mosaic]  Featured item spanning the row height next to a
+ *                                   stacked pair; boxes are featured, upper, lower.
+ * @property {string}      [lastRow] Last-row behavior applied to this row, if any.
+ * @property {boolean}     [hidden]  Row is laid out but not displayed; takes no height.
+ */
+
+/**
+ * @typedef {Object} JustifiedLayout
+ * @property {LayoutRow[]} rows            Rows from top to bottom.
+ * @property {number}      containerHeight Total height including row gaps.
+ */
+
+/**
+ * @typedef {Object} MasonryLayout
+ * @property {LayoutBox[]} boxes           One box per item, in input order.
+ * @property {number}      columnCount     Number of columns used.
+ * @property {number}      containerHeight Height of the tallest column in px.
+ */
+
+export function calculateOptimalRowHeight( aspectRatios, containerWidth, gap ) {
+	const totalAspectRatio = aspectRatios.reduce( ( sum, ar ) => sum + ar, 0 );
+	const availableWidth = containerWidth - gap * ( aspectRatios.length - 1 );
+	return availableWidth / totalAspectRatio;
+}
+
+/**
+ * Pick row breaks that keep every row as close as possible to the target height.
+ *
+ * Dynamic programming over break positions (linear partition): the cost of a
+ * row is its squared relative deviation from the target height, and the sum
+ * over the whole sequence is minimized.
+ *
+ * @param {number[]} aspectRatios    Aspect ratios in display order.
+ * @param {number}   containerWidth  Available row width in px.
+ * @param {number}   gap             Gap between cards in px.
+ * @param {number}   targetRowHeight Desired row height in px.
+ * @return {number[]} Exclusive end index of each row.
+ */
+export function partitionRowsOptimally(
+	aspectRatios,
+	containerWidth,
+	gap,
+	targetRowHeight
+) {
+	const count = aspectRatios.length;
+	const costs = new Array( count + 1 ).fill( Infinity );
+	const rowStarts = new Array( count + 1 ).fill( 0 );
+	costs[ 0 ] = 0;
+
+	for ( let end = 1; end <= count; end++ ) {
+		let ratioSum = 0;
+		for ( let start = end - 1; start >= 0; start-- ) {
+			ratioSum += aspectRatios[ start ];
+			const availableWidth = containerWidth - gap * ( end - start - 1 );
+			if ( availableWidth <= 0 ) {
+				break;
+			}
+
+			const rowHeight = availableWidth / ratioSum;
+			const deviation = ( rowHeight - targetRowHeight ) / targetRowHeight;
+			const cost = costs[ start ] + deviation * deviation;
+			if ( cost < costs[ end ] ) {
+				costs[ end ] = cost;
+				rowStarts[ end ] = start;
+			}
+
+			if ( rowHeight < targetRowHeight * MIN_OPTIMAL_ROW_RATIO ) {
+				break;
+			}
+		}
+	}
+
+	const rowEnds = [];
+	for ( let end = count; end > 0; end = rowStarts[ end ] ) {
+		rowEnds.unshift( end );
+	}
+	return rowEnds;
+}
+
+/**
+ * Number of images per row for a container width, from the responsive settings.
+ *
+ * @param {number} containerWidth     Container width in px.
+ * @param {Object} breakpoints        Breakpoint key → minimum width in px.
+ * @param {Object} responsiveSettings Breakpoint key → images per row.
+ * @return {number} Images per row (at least 1).
+ */
+export function getImagesPerRow(
+	containerWidth,
+	breakpoints,
+	responsiveSettings
+) {
+	const sortedBreakpoints = Object.entries( breakpoints ).sort(
+		( a, b ) => b[ 1 ] - a[ 1 ]
+	);
+
+	for ( const [ key, width ] of sortedBreakpoints ) {
+		if ( containerWidth >= width && responsiveSettings[ key ] ) {
+			return responsiveSettings[ key ];
+		}
+	}
+
+	const fallbackKeys = [
+		'mobile',
+		'mobile_landscape',
+		'tablet_portrait',
+		'default',
+	];
+	for ( const key of fallbackKeys ) {
+		if ( responsiveSettings[ key ] ) {
+			return responsiveSettings[ key ];
+		}
+	}
+	return 1;
+}
+
+/**
+ * Row height, gap and max viewport height overrides for the active breakpoint.
+ *
+ * Unlike images per row, overrides don't carry over to wider breakpoints: they
+ * apply at the widest breakpoint the container reaches (the narrowest one when
+ * it reaches none), and anything unset there falls back to the block value.
+ *
+ * @param {number} containerWidth      Available width in px.
+ * @param {Object} breakpoints         Breakpoint key => min width in px.
+ * @param {Object} responsiveOverrides Breakpoint key => { rowHeight, gap, maxViewportHeight }.
+ * @return {Object} Overrides for the active breakpoint, empty when none are set.
+ */
+export function getResponsiveOverrides(
+	containerWidth,
+	breakpoints,
+	responsiveOverrides
+) {
+	const sortedBreakpoints = Object.entries( breakpoints ).sort(
+		( a, b ) => b[ 1 ] - a[ 1 ]
+	);
+	if ( sortedBreakpoints.length === 0 || ! responsiveOverrides ) {
+		return {};
+	}
+
+	const [ activeKey ] =
+		sortedBreakpoints.find( ( [ , width ] ) => containerWidth >= width ) ||
+		sortedBreakpoints[ sortedBreakpoints.length - 1 ];
+	return responsiveOverrides[ activeKey ] || {};
+}
+
+function getAlignedOffset( rowWidth, containerWidth, alignment ) {
+	const slack = Math.max( 0, containerWidth - rowWidth );
+	if ( alignment === 'right' ) {
+		return slack;
+	}
+	if ( alignment === 'center' ) {
+		return Math.floor( slack / 2 );
+	}
+	return 0;
+}
+
+function sanitizeAspectRatios( aspectRatios ) {
+	return aspectRatios.map( ( ratio ) =>
+		Number.isFinite( ratio ) && ratio > 0 ? ratio : FALLBACK_ASPECT_RATIO
+	);
+}
+
+function solitaryRowSize( aspectRatio, containerWidth, maxRowHeight ) {
+	let height = Math.min( containerWidth / aspectRatio, maxRowHeight );
+	let width = height * aspectRatio;
+
+	if ( width > containerWidth ) {
+		width = containerWidth;
+		height = width / aspectRatio;
+	}
+
+	return { width: Math.round( width ), height: Math.round( height ) };
+}
+
+/**
+ * Compute justified row geometry.
+ *
+ * @param {Object}    options
+ * @param {number[]}  options.aspectRatios      Width / height per item; unusable ones fall back to 3:2.
+ * @param {boolean[]} [options.fullRowFlags]    Items that take a row of their own.
+ * @param {boolean[]} [options.featuredFlags]   Items that span two rows beside the next two items.
+ * @param {number}    options.containerWidth    Available width in px.
+ * @param {number}    [options.gap]             Gap between cards and rows in px.
+ * @param {string}    [options.mode]            'auto', 'fixed' or 'optimal'.
+ * @param {number}    [options.imagesPerRow]    Row length for 'auto' and 'fixed'.
+ * @param {number}    [options.targetRowHeight] Row height for 'fixed', target for 'optimal'.
+ * @param {number}    [options.heightTolerance] Fraction rows of 'fixed' and 'optimal' may stretch past
+ *                                              the target to fill the width uncropped; 0 keeps exact heights.
+ * @param {number}    [options.maxRowHeight]    Upper bound for computed row heights in px.
+ * @param {string}    [options.alignment]       'left', 'center' or 'right' for rows narrower than the container.
+ * @param {string}    [options.lastRow]         Incomplete last row: 'justify', 'left', 'center', 'right', 'hide' or 'balance'.
+ * @return {JustifiedLayout} Row and box geometry.
+ */
+export function computeJustifiedLayout( {
+	aspectRatios: rawAspectRatios,
+	fullRowFlags = [],
+	featuredFlags = [],
+	containerWidth,
+	gap = 12,
+	mode = ROW_HEIGHT_MODE_AUTO,
+	imagesPerRow = 3,
+	targetRowHeight = 300,
+	heightTolerance = 0,
+	maxRowHeight = Infinity,
+	alignment = 'center',
+	lastRow = LAST_ROW_JUSTIFY,
+} ) {
+	const aspectRatios = sanitizeAspectRatios( rawAspectRatios );
+	const rows = [];
+	let top = 0;
+	const isTolerant = heightTolerance > 0 && mode !== ROW_HEIGHT_MODE_AUTO;
+
+	function pushRow( indices, heights, widths, isFullRow, extra = {} ) {
+		const height = Math.max( ...heights );
+		let rowWidth =
+			widths.reduce( ( sum, w ) => sum + w, 0 ) +
+			gap * ( widths.length - 1 );
+
+		// Per-card rounding leaves a filled row a pixel or two off the
+		// container edge; the last card takes up the difference
+		const slack = containerWidth - rowWidth;
+		if ( slack !== 0 && Math.abs( slack ) <= widths.length / 2 ) {
+			widths[ widths.length - 1 ] += slack;
+			rowWidth = containerWidth;
+		}
+		let left = getAlignedOffset(
+			rowWidth,
+			containerWidth,
+			extra.alignment || alignment
+		);
+
+		const boxes = indices.map( ( index, idx ) => {
+			const box = {
+				index,
+				left,
+				top,
+				width: widths[ idx ],
+				height: heights[ idx ],
+			};
+			left += widths[ idx ] + gap;
+			return box;
+		} );
+
+		const row = { top, height, isFullRow, boxes };
+		if ( extra.lastRow ) {
+			row.lastRow = extra.lastRow;
+		}
+		if ( extra.hidden ) {
+			row.hidden = true;
+		}
+		rows.push( row );
+		if ( ! row.hidden ) {
+			top += height + gap;
+		}
+	}
+
+	function pushSolitaryRow( index ) {
+		const { width, height } = solitaryRowSize(
+			aspectRatios[ index ],
+			containerWidth,
+			maxRowHeight
+		);
+		pushRow( [ index ], [ height ], [ width ], true );
+	}
+
+	function getFillHeight( indices ) {
+		return calculateOptimalRowHeight(
+			indices.map( ( index ) => aspectRatios[ index ] ),
+			containerWidth,
+			gap
+		);
+	}
+
+	function getJustifiedRowHeight( indices ) {
+		if ( isTolerant ) {
+			// Fill the width within the band; a row that would grow taller
+			// ends short of the container instead
+			const tallest = targetRowHeight * ( 1 + heightTolerance );
+			return Math.min(
+				getFillHeight( indices ),
+				mode === ROW_HEIGHT_MODE_FIXED
+					? tallest
+					: Math.min( tallest, maxRowHeight )
+			);
+		}
+		if ( mode === ROW_HEIGHT_MODE_FIXED ) {
+			return targetRowHeight;
+		}
+		return Math.max(
+			MIN_AUTO_ROW_HEIGHT,
+			Math.min( getFillHeight( indices ), maxRowHeight )
+		);
+	}
+
+	function pushJustifiedRow( indices, rowHeight, extra ) {
+		if ( indices.length === 0 ) {
+			return;
+		}
+
+		if ( rowHeight === undefined ) {
+			rowHeight = getJustifiedRowHeight( indices );
+		}
+
+		const height = Math.round( rowHeight );
+		pushRow(
+			indices,
+			indices.map( () => height ),
+			indices.map( ( index ) =>
+				Math.round( rowHeight * aspectRatios[ index ] )
+			),
+			false,
+			extra
+		);
+	}
+
+	// Incomplete trailing row of an 'auto' or 'fixed' layout
+	function pushLastRow( indices ) {
+		const previous = rows[ rows.length - 1 ];
+		// Only rows from the same run (no full-row item in between) count
+		const hasPreviousRow =
+			previous &&
+			! previous.isFullRow &&
+			! previous.mosaic &&
+			previous.boxes[ previous.boxes.length - 1 ].index ===
+				indices[ 0 ] - 1;
+
+		if ( lastRow === LAST_ROW_HIDE && hasPreviousRow ) {
+			pushJustifiedRow( indices, undefined, {
+				lastRow,
+				hidden: true,
+			} );
+			return;
+		}
+
+		if ( lastRow === LAST_ROW_BALANCE && hasPreviousRow ) {
+			// Re-split the last two rows so both hold roughly the same count
+			rows.pop();
+			top -= previous.height + gap;
+			const combined = previous.boxes
+				.map( ( box ) => box.index )
+				.concat( indices );
+			const split = Math.ceil( combined.length / 2 );
+			pushJustifiedRow( combined.slice( 0, split ), undefined, {
+				lastRow,
+			} );
+			pushJustifiedRow( combined.slice( split ), undefined, {
+				lastRow,
+			} );
+			return;
+		}
+
+		if (
+			lastRow === 'left' ||
+			lastRow === 'center' ||
+			lastRow === 'right'
+		) {
+			// Keep the height of the rows above instead of stretching to fill
+			const rowHeight = Math.min(
+				mode === ROW_HEIGHT_MODE_FIXED || ! hasPreviousRow
+					? targetRowHeight
+					: previous.height,
+				getJustifiedRowHeight( indices )
+			);
+			pushJustifiedRow( indices, rowHeight, {
+				lastRow,
+				alignment: lastRow,
+			} );
+			return;
+		}
+
+		pushJustifiedRow( indices );
+	}
+
+	// Featured item on the left spanning two rows, stacked pair on the right.
+	// The block height is solved so the whole block fills the container width.
+	function pushMosaicRow( featuredIndex, stackIndices ) {
+		const featuredRatio = aspectRatios[ featuredIndex ];
+		const stackInverse = stackIndices.reduce(
+			( sum, index ) => sum + 1 / aspectRatios[ index ],
+			0
+		);
+
+		// Height at which the block exactly fills the width; fixed rows may
+		// end short of the container but never past it
+		const fillHeight =
+			( containerWidth - gap + gap / stackInverse ) /
+			( featuredRatio + 1 / stackInverse );
+		const blockHeight = Math.min(
+			fillHeight,
+			mode === ROW_HEIGHT_MODE_FIXED
+				? targetRowHeight * 2 + gap
+				: maxRowHeight * 2 + gap
+		);
+
+		const height = Math.round( blockHeight );
+		const featuredWidth = Math.round( blockHeight * featuredRatio );
+		let stackWidth = Math.round( ( blockHeight - gap ) / stackInverse );
+		// Rounding slack goes to the stacked column, as in plain rows
+		const slack = containerWidth - ( featuredWidth + gap + stackWidth );
+		if ( slack !== 0 && Math.abs( slack ) <= 1 ) {
+			stackWidth += slack;
+		}
+		const upperHeight = Math.round(
+			stackWidth / aspectRatios[ stackIndices[ 0 ] ]
+		);
+		const left = getAlignedOffset(
+			featuredWidth + gap + stackWidth,
+			containerWidth,
+			alignment
+		);
+		const stackLeft = left + featuredWidth + gap;
+
+		rows.push( {
+			top,
+			height,
+			isFullRow: false,
+			mosaic: true,
+			boxes: [
+				{
+					index: featuredIndex,
+					left,
+					top,
+					width: featuredWidth,
+					height,
+				},
+				{
+					index: stackIndices[ 0 ],
+					left: stackLeft,
+					top,
+					width: stackWidth,
+					height: upperHeight,
+				},
+				{
+					index: stackIndices[ 1 ],
+					left: stackLeft,
+					top: top + upperHeight + gap,
+					width: stackWidth,
+					height: height - upperHeight - gap,
+				},
+			],
+		} );
+		top += height + gap;
+	}
+
+	function pushOptimalRows( indices ) {
+		let start = 0;
+		partitionRowsOptimally(
+			indices.map( ( index ) => aspectRatios[ index ] ),
+			containerWidth,
+			gap,
+			targetRowHeight
+		).forEach( ( end ) => {
+			pushJustifiedRow( indices.slice( start, end ) );
+			start = end;
+		} );
+	}
+
+	const count = aspectRatios.length;
+	if ( count === 0 || containerWidth <= 0 ) {
+		return { rows, containerHeight: 0 };
+	}
+
+	if ( count === 1 ) {
+		pushSolitaryRow( 0 );
+		return { rows, containerHeight: top - gap };
+	}
+
+	const flushPending =
+		mode === ROW_HEIGHT_MODE_OPTIMAL ? pushOptimalRows : pushJustifiedRow;
+
+	// Tolerant fixed rows break by width rather than count: a row closes once
+	// it reaches the container at the target height, with or without its
+	// newest item, whichever stays closer to the target
+	const breaksByWidth = isTolerant && mode === ROW_HEIGHT_MODE_FIXED;
+
+	// A stacked pair needs two plain items right after the featured one
+	const isPlain = ( index ) =>
+		index < count && ! fullRowFlags[ index ] && ! featuredFlags[ index ];
+
+	let pending = [];
+	for ( let i = 0; i < count; i++ ) {
+		if ( featuredFlags[ i ] && ! fullRowFlags[ i ] ) {
+			flushPending( pending );
+			pending = [];
+			// Too narrow for a mosaic, or no pair to stack: show it alone
+			if ( imagesPerRow >= 3 && isPlain( i + 1 ) && isPlain( i + 2 ) ) {
+				pushMosaicRow( i, [ i + 1, i + 2 ] );
+				i += 2;
+			} else {
+				pushSolitaryRow( i );
+			}
+			continue;
+		}
+
+		if ( fullRowFlags[ i ] ) {
+			flushPending( pending );
+			pending = [];
+			pushSolitaryRow( i );
+			continue;
+		}
+
+		pending.push( i );
+
+		// Optimal mode defers breaking until the whole run is known
+		let rowFull =
+			mode !== ROW_HEIGHT_MODE_OPTIMAL && pending.length >= imagesPerRow;
+		if ( breaksByWidth ) {
+			rowFull = getFillHeight( pending ) <= targetRowHeight;
+			const previous = pending.slice( 0, -1 );
+			if (
+				rowFull &&
+				previous.length > 0 &&
+				getFillHeight( previous ) - targetRowHeight <
+					targetRowHeight - getFillHeight( pending )
+			) {
+				flushPending( previous );
+				pending = [ i ];
+				rowFull = false;
+			}
+		}
+		if ( rowFull ) {
+			flushPending( pending );
+			pending = [];
+		} else if ( i === count - 1 ) {
+			if ( mode === ROW_HEIGHT_MODE_OPTIMAL ) {
+				flushPending( pending );
+			} else {
+				pushLastRow( pending );
+			}
+			pending = [];
+		}
+	}
+
+	return { rows, containerHeight: rows.length ? top - gap : 0 };
+}
+
+/**
+ * Compute masonry (column) geometry.
+ *
+ * Items are taken in input order and each goes to the currently shortest
+ * column (leftmost on ties), so reading order stays close to input order.
+ * Placement of earlier items never depends on later ones, which lets callers
+ * append items without moving anything already on screen. Full-row items span
+ * every column below the tallest one.
+ *
+ * @param {Object}    options
+ * @param {number[]}  options.aspectRatios   Width / height per item; unusable ones fall back to 3:2.
+ * @param {boolean[]} [options.fullRowFlags] Items that span all columns.
+ * @param {number}    options.containerWidth Available width in px.
+ * @param {number}    [options.gap]          Gap between columns and items in px.
+ * @param {number}    [options.columns]      Number of columns.
+ * @param {number}    [options.maxRowHeight] Upper bound for item heights in px; taller items are cropped.
+ * @return {MasonryLayout} Box geometry.
+ */
+export function computeMasonryLayout( {
+	aspectRatios: rawAspectRatios,
+	fullRowFlags = [],
+	containerWidth,
+	gap = 12,
+	columns = 3,
+	maxRowHeight = Infinity,
+} ) {
+	const aspectRatios = sanitizeAspectRatios( rawAspectRatios );
+	const columnCount = Math.max( 1, Math.min( columns, aspectRatios.length ) );
+	if ( aspectRatios.length === 0 || containerWidth <= 0 ) {
+		return { boxes: [], columnCount, containerHeight: 0 };
+	}
+
+	const columnWidth =
+		( containerWidth - gap * ( columnCount - 1 ) ) / columnCount;
+	const heights = new Array( columnCount ).fill( 0 );
+
+	const boxes = aspectRatios.map( ( aspectRatio, index ) => {
+		if ( fullRowFlags[ index ] ) {
+			const top = Math.max( ...heights );
+			const { width, height } = solitaryRowSize(
+				aspectRatio,
+				containerWidth,
+				maxRowHeight
+			);
+			heights.fill( top + height + gap );
+			return {
+				index,
+				left: Math.floor( ( containerWidth - width ) / 2 ),
+				top,
+				width,
+				height,
+			};
+		}
+
+		const column = heights.indexOf( Math.min( ...heights ) );
+		const top = heights[ column ];
+		const height = Math.round(
+			Math.min( columnWidth / aspectRatio, maxRowHeight )
+		);
+		heights[ column ] = top + height + gap;
+		return {
+			index,
+			left: Math.round( column * ( columnWidth + gap ) ),
+			top,
+			width: Math.round( columnWidth ),
+			height,
+		};
+	} );
+
+	return {
+		boxes,
+		columnCount,
+		containerHeight: Math.max( ...heights ) - gap,
+	};
+}
+
+/**
+ * Compute uniform grid geometry.
+ *
+ * Every cell has the same size and aspect ratio regardless of the image, so
+ * images are expected to be cropped to fit. Full-row items span the whole
+ * width at the cell height.
+ *
+ * @param {Object}    options
+ * @param {number}    options.count             Number of items.
+ * @param {boolean[]} [options.fullRowFlags]    Items that take a row of their own.
+ * @param {number}    options.containerWidth    Available width in px.
+ * @param {number}    [options.gap]             Gap between cells in px.
+ * @param {number}    [options.columns]         Cells per row.
+ * @param {number}    [options.cellAspectRatio] Width / height of every cell.
+ * @param {string}    [options.alignment]       'left', 'center' or 'right' for an incomplete last row.
+ * @return {JustifiedLayout} Row and box geometry.
+ */
+export function computeGridLayout( {
+	count,
+	fullRowFlags = [],
+	containerWidth,
+	gap = 12,
+	columns = 3,
+	cellAspectRatio = 1,
+	alignment = 'center',
+} ) {
+	const rows = [];
+	if ( count === 0 || containerWidth <= 0 ) {
+		return { rows, containerHeight: 0 };
+	}
+
+	const columnCount = Math.max( 1, columns );
+	const cellWidth =
+		( containerWidth - gap * ( columnCount - 1 ) ) / columnCount;
+	const [ cellRatio ] = sanitizeAspectRatios( [ cellAspectRatio ] );
+	const cellHeight = Math.round( cellWidth / cellRatio );
+	let top = 0;
+
+	function pushRow( indices, isFullRow ) {
+		const width = isFullRow ? containerWidth : Math.round( cellWidth );
+		const rowWidth = width * indices.length + gap * ( indices.length - 1 );
+		const offset = getAlignedOffset( rowWidth, containerWidth, alignment );
+		const boxes = indices.map( ( index, idx ) => ( {
+			index,
+			left: offset + Math.round( idx * ( cellWidth + gap ) ),
+			top,
+			width,
+			height: cellHeight,
+		} ) );
+		rows.push( { top, height: cellHeight, isFullRow, boxes } );
+		top += cellHeight + gap;
+	}
+
+	let pending = [];
+	for ( let i = 0; i < count; i++ ) {
+		if ( fullRowFlags[ i ] ) {
+			if ( pending.length ) {
+				pushRow( pending, false );
+				pending = [];
+			}
+			pushRow( [ i ], true );
+			continue;
+		}
+
+		pending.push( i );
+		if ( pending.length >= columnCount || i === count - 1 ) {
+			pushRow( pending, false );
+			pending = [];
+		}
+	}
+
+	return { rows, containerHeight: top - gap };
+}
+
+/**
+ * Keep extreme shapes from dominating shared rows.
+ *
+ * Images at least autoFullRowRatio wide get a row of their own at their real
+ * shape, as if marked full-row. Every other image that shares a row is laid
+ * out within [minAspectRatio, maxAspectRatio] and cropped to fit. A limit of
+ * 0 turns that limit off.
+ *
+ * @param {Object}    options
+ * @param {number[]}  options.aspectRatios       Width / height per item.
+ * @param {boolean[]} [options.fullRowFlags]     Items already on a row of their own.
+ * @param {number}    [options.minAspectRatio]   Narrowest shape in a shared row.
+ * @param {number}    [options.maxAspectRatio]   Widest shape in a shared row.
+ * @param {number}    [options.autoFullRowRatio] Shape from which items get their own row.
+ * @return {{aspectRatios: number[], fullRowFlags: boolean[]}} Ratios and flags to lay out with.
+ */
+export function applyAspectRatioLimits( {
+	aspectRatios,
+	fullRowFlags = [],
+	minAspectRatio = 0,
+	maxAspectRatio = 0,
+	autoFullRowRatio = 0,
+} ) {
+	// Unusable ratios are left as they are for the layout to deal with
+	const isUsable = ( ratio ) => Number.isFinite( ratio ) && ratio > 0;
+
+	const flags = aspectRatios.map(
+		( ratio, index ) =>
+			!! fullRowFlags[ index ] ||
+			( autoFullRowRatio > 0 &&
+				isUsable( ratio ) &&
+				ratio >= autoFullRowRatio )
+	);
+
+	const ratios = aspectRatios.map( ( ratio, index ) => {
+		if ( flags[ index ] || ! isUsable( ratio ) ) {
+			return ratio;
+		}
+		if ( minAspectRatio > 0 && ratio < minAspectRatio ) {
+			return minAspectRatio;
+		}
+		if ( maxAspectRatio > 0 && ratio > maxAspectRatio ) {
+			return maxAspectRatio;
+		}
+		return ratio;
+	} );
+
+	return { aspectRatios: ratios, fullRowFlags: flags };
+}
+
+/**
+ * Run the layout for one of the layout modes. Shared by the main thread and
+ * the layout worker, so both produce identical geometry from the same input.
+ *
+ * @param {string} layout 'justified', 'masonry' or 'grid'.
+ * @param {Object} params Options for the matching compute*Layout function.
+ * @return {JustifiedLayout|MasonryLayout} Geometry for the layout mode.
+ */
+export function computeLayout( layout, params ) {
+	if ( layout === LAYOUT_MASONRY ) {
+		return computeMasonryLayout( params );
+	}
+	if ( layout === LAYOUT_GRID ) {
+		return computeGridLayout( params );
+	}
+	return computeJustifiedLayout( params );
+}
@@ -0,0 +1,585 @@
+/**
+ * Tests for the pure layout geometry in ./layout-core.
+ */
+
+import {
+	FALLBACK_ASPECT_RATIO,
+	LAST_ROW_BALANCE,
+	LAST_ROW_HIDE,
+	LAST_ROW_JUSTIFY,
+	ROW_HEIGHT_MODE_AUTO,
+	ROW_HEIGHT_MODE_FIXED,
+	ROW_HEIGHT_MODE_OPTIMAL,
+	applyAspectRatioLimits,
+	computeGridLayout,
+	computeJustifiedLayout,
+	computeMasonryLayout,
+	getResponsiveOverrides,
+	partitionRowsOptimally,
+} from './layout-core';
+
+// Index, left offset and width of every box, row by row
+function describeRows( { rows } ) {
+	return rows.map( ( row ) =>
+		row.boxes.map( ( { index, left, width } ) => [ index, left, width ] )
+	);
+}
+
+function rowWidth( row, gap ) {
+	return (
+		row.boxes.reduce( ( sum, box ) => sum + box.width, 0 ) +
+		gap * ( row.boxes.length - 1 )
+	);
+}
+
+describe( 'partitionRowsOptimally', () => {
+	it( 'splits evenly when that hits the target height', () => {
+		expect(
+			partitionRowsOptimally( [ 1, 1, 1, 1, 1, 1 ], 620, 10, 200 )
+		).toEqual( [ 3, 6 ] );
+	} );
+
+	it( 'gives panoramas their own rows and groups portraits', () => {
+		expect(
+			partitionRowsOptimally(
+				[ 3, 3, 3, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5 ],
+				620,
+				10,
+				200
+			)
+		).toEqual( [ 1, 2, 3, 9 ] );
+	} );
+
+	it( 'returns no rows without items', () => {
+		expect( partitionRowsOptimally( [], 620, 10, 200 ) ).toEqual( [] );
+	} );
+} );
+
+describe( 'computeJustifiedLayout', () => {
+	it( 'returns no rows without items or width', () => {
+		expect(
+			computeJustifiedLayout( { aspectRatios: [], containerWidth: 900 } )
+		).toEqual( { rows: [], containerHeight: 0 } );
+		expect(
+			computeJustifiedLayout( { aspectRatios: [ 1 ], containerWidth: 0 } )
+		).toEqual( { rows: [], containerHeight: 0 } );
+	} );
+
+	it( 'centers a single image within the height limit', () => {
+		const layout = computeJustifiedLayout( {
+			aspectRatios: [ 2 ],
+			containerWidth: 900,
+			maxRowHeight: 300,
+		} );
+
+		expect( layout.rows ).toHaveLength( 1 );
+		expect( layout.rows[ 0 ].isFullRow ).toBe( true );
+		expect( layout.rows[ 0 ].boxes ).toEqual( [
+			{ index: 0, left: 150, top: 0, width: 600, height: 300 },
+		] );
+		expect( layout.containerHeight ).toBe( 300 );
+	} );
+
+	it( 'breaks rows around full-row items', () => {
+		const layout = computeJustifiedLayout( {
+			aspectRatios: [ 1.5, 1.5, 1.5, 3, 1.5, 1.5 ],
+			fullRowFlags: [ false, false, false, true ],
+			containerWidth: 920,
+			gap: 10,
+		} );
+
+		expect( describeRows( layout ) ).toEqual( [
+			[
+				[ 0, 0, 300 ],
+				[ 1, 310, 300 ],
+				[ 2, 620, 300 ],
+			],
+			[ [ 3, 0, 920 ] ],
+			[
+				[ 4, 0, 455 ],
+				[ 5, 465, 455 ],
+			],
+		] );
+		expect( layout.rows.map( ( row ) => row.isFullRow ) ).toEqual( [
+			false,
+			true,
+			false,
+		] );
+		layout.rows.forEach( ( row ) => {
+			expect( rowWidth( row, 10 ) ).toBe( 920 );
+		} );
+		expect( layout.rows[ 1 ].top ).toBe( layout.rows[ 0 ].height + 10 );
+	} );
+
+	describe( 'last row', () => {
+		const options = {
+			aspectRatios: [ 1, 1, 1, 1, 1 ],
+			containerWidth: 920,
+			gap: 10,
+		};
+
+		it( 'stretches to the full width with "justify"', () => {
+			const layout = computeJustifiedLayout( {
+				...options,
+				lastRow: LAST_ROW_JUSTIFY,
+			} );
+
+			expect( describeRows( layout )[ 1 ] ).toEqual( [
+				[ 3, 0, 455 ],
+				[ 4, 465, 455 ],
+			] );
+			expect( layout.containerHeight ).toBe( 300 + 10 + 455 );
+		} );
+
+		it( 'is laid out but takes no height with "hide"', () => {
+			const layout = computeJustifiedLayout( {
+				...options,
+				lastRow: LAST_ROW_HIDE,
+			} );
+
+			expect( layout.rows ).toHaveLength( 2 );
+			expect( layout.rows[ 1 ] ).toMatchObject( {
+				hidden: true,
+				lastRow: LAST_ROW_HIDE,
+			} );
+			expect( layout.containerHeight ).toBe( 300 );
+		} );
+
+		it( 'shares items with the row above with "balance"', () => {
+			const layout = computeJustifiedLayout( {
+				...options,
+				aspectRatios: [ 1, 1, 1, 1 ],
+				lastRow: LAST_ROW_BALANCE,
+			} );
+
+			expect( describeRows( layout ) ).toEqual( [
+				[
+					[ 0, 0, 455 ],
+					[ 1, 465, 455 ],
+				],
+				[
+					[ 2, 0, 455 ],
+					[ 3, 465, 455 ],
+				],
+			] );
+			layout.rows.forEach( ( row ) => {
+				expect( row.lastRow ).toBe( LAST_ROW_BALANCE );
+			} );
+		} );
+
+		it.each( [
+			[ 'left', 0 ],
+			[ 'center', 155 ],
+			[ 'right', 310 ],
+		] )(
+			'keeps the row height and aligns with "%s"',
+			( lastRow, offset ) => {
+				const layout = computeJustifiedLayout( {
+					...options,
+					lastRow,
+				} );
+
+				expect( layout.rows[ 1 ].height ).toBe(
+					layout.rows[ 0 ].height
+				);
+				expect( describeRows( layout )[ 1 ] ).toEqual( [
+					[ 3, offset, 300 ],
+					[ 4, offset + 310, 300 ],
+				] );
+				expect( layout.containerHeight ).toBe( 610 );
+			}
+		);
+	} );
+
+	describe( 'optimal mode', () => {
+		it( 'splits evenly when that hits the target height', () => {
+			const layout = computeJustifiedLayout( {
+				aspectRatios: [ 1, 1, 1, 1, 1, 1 ],
+				containerWidth: 620,
+				gap: 10,
+				mode: ROW_HEIGHT_MODE_OPTIMAL,
+				targetRowHeight: 200,
+			} );
+
+			expect( layout.rows.map( ( row ) => row.boxes.length ) ).toEqual( [
+				3, 3,
+			] );
+			layout.rows.forEach( ( row ) => {
+				expect( row.height ).toBe( 200 );
+			} );
+		} );
+
+		it( 'picks breaks that keep rows near the target', () => {
+			const layout = computeJustifiedLayout( {
+				aspectRatios: [ 2, 1, 1, 1, 2, 0.5 ],
+				containerWidth: 620,
+				gap: 10,
+				mode: ROW_HEIGHT_MODE_OPTIMAL,
+				targetRowHeight: 150,
+			} );
+
+			expect( layout.rows.map( ( row ) => row.boxes.length ) ).toEqual( [
+				3, 3,
+			] );
+			expect( layout.rows.map( ( row ) => row.height ) ).toEqual( [
+				150, 171,
+			] );
+			layout.rows.forEach( ( row ) => {
+				expect( rowWidth( row, 10 ) ).toBe( 620 );
+			} );
+		} );
+	} );
+
+	describe( 'height tolerance', () => {
+		const options = {
+			aspectRatios: [ 2, 2, 2, 2 ],
+			containerWidth: 920,
+			gap: 10,
+			targetRowHeight: 200,
+			heightTolerance: 0.1,
+		};
+
+		it.each( [ ROW_HEIGHT_MODE_FIXED, ROW_HEIGHT_MODE_OPTIMAL ] )(
+			'caps "%s" rows at the tolerance and leaves them short',
+			( mode ) => {
+				const layout = computeJustifiedLayout( {
+					...options,
+					mode,
+					alignment: 'left',
+				} );
+
+				expect( layout.rows.map( ( row ) => row.height ) ).toEqual( [
+					220, 220,
+				] );
+				expect( describeRows( layout ) ).toEqual( [
+					[
+						[ 0, 0, 440 ],
+						[ 1, 450, 440 ],
+					],
+					[
+						[ 2, 0, 440 ],
+						[ 3, 450, 440 ],
+					],
+				] );
+			}
+		);
+
+		it( 'aligns rows that end short of the container', () => {
+			const layout = computeJustifiedLayout( {
+				...options,
+				mode: ROW_HEIGHT_MODE_FIXED,
+			} );
+
+			expect( describeRows( layout )[ 0 ] ).toEqual( [
+				[ 0, 15, 440 ],
+				[ 1, 465, 440 ],
+			] );
+		} );
+
+		it( 'breaks fixed rows by width and stretches them to fill it', () => {
+			const layout = computeJustifiedLayout( {
+				aspectRatios: [ 1, 1, 1, 3 ],
+				containerWidth: 920,
+				gap: 10,
+				mode: ROW_HEIGHT_MODE_FIXED,
+				targetRowHeight: 280,
+				heightTolerance: 0.2,
+			} );
+
+			expect( layout.rows[ 0 ].height ).toBe( 300 );
+			expect( describeRows( layout ) ).toEqual( [
+				[
+					[ 0, 0, 300 ],
+					[ 1, 310, 300 ],
+					[ 2, 620, 300 ],
+				],
+				[ [ 3, 0, 920 ] ],
+			] );
+		} );
+
+		it( 'gives the rounding slack to the last card', () => {
+			const layout = computeJustifiedLayout( {
+				aspectRatios: [ 1, 1, 1 ],
+				containerWidth: 1000,
+				gap: 10,
+			} );
+
+			expect( describeRows( layout ) ).toEqual( [
+				[
+					[ 0, 0, 327 ],
+					[ 1, 337, 327 ],
+					[ 2, 674, 326 ],
+				],
+			] );
+			expect( rowWidth( layout.rows[ 0 ], 10 ) ).toBe( 1000 );
+		} );
+	} );
+
+	describe( 'featured mosaic', () => {
+		const options = {
+			aspectRatios: [ 1.5, 1.5, 1.5 ],
+			featuredFlags: [ true ],
+			containerWidth: 600,
+			gap: 10,
+		};
+
+		it.each( [ ROW_HEIGHT_MODE_AUTO, ROW_HEIGHT_MODE_FIXED ] )(
+			'stays within the container width in "%s" mode',
+			( mode ) => {
+				const layout = computeJustifiedLayout( {
+					...options,
+					mode,
+					targetRowHeight: 300,
+				} );
+				const [ featured, upper, lower ] = layout.rows[ 0 ].boxes;
+
+				expect( layout.rows[ 0 ].mosaic ).toBe( true );
+				expect( featured.width + 10 + upper.width ).toBe( 600 );
+				expect( upper.height + 10 + lower.height ).toBe(
+					featured.height
+				);
+			}
+		);
+
+		it( 'keeps the fixed height when it fits', () => {
+			const layout = computeJustifiedLayout( {
+				...options,
+				mode: ROW_HEIGHT_MODE_FIXED,
+				targetRowHeight: 100,
+			} );
+
+			expect( layout.rows[ 0 ].height ).toBe( 210 );
+		} );
+	} );
+
+	it.each( [ NaN, 0, -1, Infinity, undefined ] )(
+		'lays out an aspect ratio of %p with the fallback ratio',
+		( ratio ) => {
+			const options = { containerWidth: 920, gap: 10 };
+
+			expect(
+				computeJustifiedLayout( {
+					...options,
+					aspectRatios: [ ratio, 1.5, 1.5 ],
+				} )
+			).toEqual(
+				computeJustifiedLayout( {
+					...options,
+					aspectRatios: [ FALLBACK_ASPECT_RATIO, 1.5, 1.5 ],
+				} )
+			);
+		}
+	);
+} );
+
+describe( 'computeMasonryLayout', () => {
+	it( 'places each item in the shortest column', () => {
+		const layout = computeMasonryLayout( {
+			aspectRatios: [ 1, 2, 1, 1 ],
+			containerWidth: 620,
+			gap: 10,
+			columns: 3,
+		} );
+
+		expect( layout.columnCount ).toBe( 3 );
+		expect( layout.boxes ).toEqual( [
+			{ index: 0, left: 0, top: 0, width: 200, height: 200 },
+			{ index: 1, left: 210, top: 0, width: 200, height: 100 },
+			{ index: 2, left: 420, top: 0, width: 200, height: 200 },
+			{ index: 3, left: 210, top: 110, width: 200, height: 200 },
+		] );
+		expect( layout.containerHeight ).toBe( 310 );
+	} );
+
+	it( 'spans full-row items below the tallest column', () => {
+		const layout = computeMasonryLayout( {
+			aspectRatios: [ 1, 2, 4 ],
+			fullRowFlags: [ false, false, true ],
+			containerWidth: 410,
+			gap: 10,
+			columns: 2,
+		} );
+
+		expect( layout.boxes[ 2 ] ).toEqual( {
+			index: 2,
+			left: 0,
+			top: 210,
+			width: 410,
+			height: 103,
+		} );
+		expect( layout.containerHeight ).toBe( 313 );
+	} );
+
+	it( 'uses no more columns than items', () => {
+		expect(
+			computeMasonryLayout( {
+				aspectRatios: [ 1 ],
+				containerWidth: 600,
+				columns: 3,
+			} ).columnCount
+		).toBe( 1 );
+	} );
+
+	it( 'lays out unusable aspect ratios with the fallback ratio', () => {
+		const { boxes } = computeMasonryLayout( {
+			aspectRatios: [ NaN, 0 ],
+			containerWidth: 410,
+			gap: 10,
+			columns: 2,
+		} );
+
+		boxes.forEach( ( box ) => {
+			expect( box.height ).toBe(
+				Math.round( 200 / FALLBACK_ASPECT_RATIO )
+			);
+		} );
+	} );
+} );
+
+describe( 'computeGridLayout', () => {
+	it( 'gives every cell the same size', () => {
+		const layout = computeGridLayout( {
+			count: 6,
+			fullRowFlags: [ false, false, true ],
+			containerWidth: 410,
+			gap: 10,
+			columns: 2,
+			cellAspectRatio: 2,
+		} );
+
+		expect( describeRows( layout ) ).toEqual( [
+			[
+				[ 0, 0, 200 ],
+				[ 1, 210, 200 ],
+			],
+			[ [ 2, 0, 410 ] ],
+			[
+				[ 3, 0, 200 ],
+				[ 4, 210, 200 ],
+			],
+			[ [ 5, 105, 200 ] ],
+		] );
+		layout.rows.forEach( ( row ) => {
+			expect( row.height ).toBe( 100 );
+		} );
+		expect( layout.containerHeight ).toBe( 4 * 100 + 3 * 10 );
+	} );
+
+	it( 'aligns an incomplete last row', () => {
+		const layout = computeGridLayout( {
+			count: 3,
+			containerWidth: 410,
+			gap: 10,
+			columns: 2,
+			alignment: 'left',
+		} );
+
+		expect( describeRows( layout )[ 1 ] ).toEqual( [ [ 2, 0, 200 ] ] );
+	} );
+
+	it( 'falls back for an unusable cell aspect ratio', () => {
+		const layout = computeGridLayout( {
+			count: 1,
+			containerWidth: 410,
+			gap: 10,
+			columns: 2,
+			cellAspectRatio: 0,
+		} );
+
+		expect( layout.rows[ 0 ].height ).toBe(
+			Math.round( 200 / FALLBACK_ASPECT_RATIO )
+		);
+	} );
+} );
+
+describe( 'getResponsiveOverrides', () => {
+	const breakpoints = { mobile: 0, tablet: 768, desktop: 1024 };
+	const overrides = { tablet: { gap: 4 }, desktop: { gap: 20 } };
+
+	it.each( [
+		[ 800, { gap: 4 } ],
+		[ 1200, { gap: 20 } ],
+	] )( 'uses the widest breakpoint reached at %ipx', ( width, expected ) => {
+		expect(
+			getResponsiveOverrides( width, breakpoints, overrides )
+		).toEqual( expected );
+	} );
+
+	it( 'does not carry overrides over to wider breakpoints', () => {
+		expect(
+			getResponsiveOverrides( 800, breakpoints, { mobile: { gap: 2 } } )
+		).toEqual( {} );
+	} );
+
+	it( 'uses the narrowest breakpoint when none is reached', () => {
+		expect(
+			getResponsiveOverrides(
+				300,
+				{ tablet: 768, desktop: 1024 },
+				{ tablet: { gap: 4 } }
+			)
+		).toEqual( { gap: 4 } );
+	} );
+
+	it( 'returns no overrides without breakpoints or overrides', () => {
+		expect( getResponsiveOverrides( 800, {}, overrides ) ).toEqual( {} );
+		expect( getResponsiveOverrides( 800, breakpoints ) ).toEqual( {} );
+	} );
+} );
+
+describe( 'applyAspectRatioLimits', () => {
+	it( 'clamps shared-row shapes to the limits', () => {
+		expect(
+			applyAspectRatioLimits( {
+				aspectRatios: [ 0.2, 1, 5 ],
+				minAspectRatio: 0.5,
+				maxAspectRatio: 3,
+			} )
+		).toEqual( {
+			aspectRatios: [ 0.5, 1, 3 ],
+			fullRowFlags: [ false, false, false ],
+		} );
+	} );
+
+	it( 'gives wide images their own row before clamping', () => {
+		expect(
+			applyAspectRatioLimits( {
+				aspectRatios: [ 8, 1 ],
+				maxAspectRatio: 3,
+				autoFullRowRatio: 4,
+			} )
+		).toEqual( {
+			aspectRatios: [ 8, 1 ],
+			fullRowFlags: [ true, false ],
+		} );
+	} );
+
+	it( 'keeps explicit full-row items at their real shape', () => {
+		expect(
+			applyAspectRatioLimits( {
+				aspectRatios: [ 5, 5 ],
+				fullRowFlags: [ true ],
+				maxAspectRatio: 3,
+			} )
+		).toEqual( {
+			aspectRatios: [ 5, 3 ],
+			fullRowFlags: [ true, false ],
+		} );
+	} );
+
+	it( 'passes unusable aspect ratios through', () => {
+		const aspectRatios = [ NaN, 0, -1, Infinity ];
+
+		expect(
+			applyAspectRatioLimits( {
+				aspectRatios,
+				minAspectRatio: 0.5,
+				maxAspectRatio: 3,
+				autoFullRowRatio: 4,
+			} )
+		).toEqual( {
+			aspectRatios,
+			fullRowFlags: [ false, false, false, false ],
+		} );
+	} );
+} );
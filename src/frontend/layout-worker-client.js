@@ -0,0 +1,106 @@
+/**
+ * Flickr Justified Gallery - Layout Worker Client
+ *
+ * Opt-in (data-layout-worker="1") for galleries with thousands of cards: the
+ * row-breaking step runs in a Web Worker so it doesn't block input. Aspect
+ * ratios are still read on the main thread; only plain data crosses over.
+ * Callers fall back to the main thread when a request rejects.
+ */
+
+// Below this many cards the round trip costs more than it saves
+const WORKER_MIN_CARDS = 300;
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+// A broken worker stays off for the rest of the page view
+function disableWorker( error ) {
+	workerFailed = true;
+	pendingRequests.forEach( ( { reject } ) => reject( error ) );
+	pendingRequests.clear();
+	if ( worker ) {
+		worker.terminate();
+		worker = null;
+	}
+}
+
+function getWorker() {
+	if ( worker || workerFailed ) {
+		return worker;
+	}
+
+	try {
+		worker = new Worker( new URL( './layout-worker.js', import.meta.url ), {
+			type: 'module',
+		} );
+	} catch ( error ) {
+		disableWorker( error );
+		return null;
+	}
+
+	worker.addEventListener( 'message', ( { data } ) => {
+		const request = pendingRequests.get( data.id );
+		if ( ! request ) {
+			return;
+		}
+		pendingRequests.delete( data.id );
+		if ( data.error ) {
+			request.reject( new Error( data.error ) );
+		} else {
+			request.resolve( data.layout );
+		}
+	} );
+	worker.addEventListener( 'error', ( event ) => {
+		event.preventDefault();
+		disableWorker( new Error( event.message || 'Layout worker failed' ) );
+	} );
+
+	return worker;
+}
+
+/**
+ * Whether a layout pass for this grid should go to the worker.
+ *
+ * @param {Element} grid      `.flickr-justified-grid` element.
+ * @param {number}  cardCount Cards in the pass.
+ * @return {boolean} True when opted in, big enough and Workers are usable.
+ */
+export function shouldUseWorker( grid, cardCount ) {
+	return (
+		grid.dataset.layoutWorker === '1' &&
+		cardCount >= WORKER_MIN_CARDS &&
+		typeof Worker !== 'undefined' &&
+		! workerFailed
+	);
+}
+
+/**
+ * Run computeLayout() in the worker.
+ *
+ * @param {{layout: string, params: Object}} input Layout mode and its options.
+ * @return {Promise<Object>} Geometry, as computeLayout() would return it.
+ */
+export function computeLayoutInWorker( input ) {
+	const target = getWorker();
+	if ( ! target ) {
+		return Promise.reject( new Error( 'Web Workers unavailable' ) );
+	}
+
+	return new Promise( ( resolve, reject ) => {
+		nextRequestId++;
+		const id = nextRequestId;
+		pendingRequests.set( id, { resolve, reject } );
+		try {
+			target.postMessage( {
+				id,
+				layout: input.layout,
+				params: input.params,
+			} );
+		} catch ( error ) {
+			pendingRequests.delete( id );
+			reject( error );
+		}
+	} );
+}
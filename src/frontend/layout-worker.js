@@ -0,0 +1,19 @@
+/**
+ * Flickr Justified Gallery - Layout Worker
+ *
+ * Runs the DOM-free layout core on the plain data posted by
+ * ./layout-worker-client and posts the geometry back.
+ */
+
+import { computeLayout } from './layout-core';
+
+self.addEventListener( 'message', ( { data } ) => {
+	try {
+		self.postMessage( {
+			id: data.id,
+			layout: computeLayout( data.layout, data.params ),
+		} );
+	} catch ( error ) {
+		self.postMessage( { id: data.id, error: error.message } );
+	}
+} );
@@ -1,8 +1,36 @@
 /**
  * Flickr Justified Gallery - Layout Engine
+ *
+ * DOM side of the layout: measures grids and cards, then applies the
+ * geometry computed by ./layout-core.
  */
 
-const SORT_VIEWS_DESC = 'views_desc';
+import {
+	FALLBACK_ASPECT_RATIO,
+	LAYOUT_GRID,
+	LAYOUT_MASONRY,
+	applyAspectRatioLimits,
+	computeLayout,
+	getImagesPerRow,
+	getResponsiveOverrides,
+} from './layout-core';
+import {
+	getGridCards,
+	getGridRows,
+	getRowAnchor,
+	observeRows,
+	removeRows,
+	replaceRow,
+} from './virtual-rows';
+import { computeLayoutInWorker, shouldUseWorker } from './layout-worker-client';
+import { animateFromBoxes, captureCardBoxes } from './reflow-animation';
+import {
+	getGroupHeadings,
+	getNextDivider,
+	getRowGroups,
+	groupCards,
+	wrapGroup,
+} from './gallery-groups';
 
 function normalizeRotation( value ) {
 	if ( ! value || ( typeof value !== 'number' && typeof value !== 'string' ) ) {
@@ -19,13 +47,8 @@ function shouldSwapDimensions( rotation ) {
 	return normalized === 90 || normalized === 270;
 }
 
-function calculateOptimalRowHeight( aspectRatios, containerWidth, gap ) {
-	const totalAspectRatio = aspectRatios.reduce( ( sum, ar ) => sum + ar, 0 );
-	const availableWidth = containerWidth - gap * ( aspectRatios.length - 1 );
-	return availableWidth / totalAspectRatio;
-}
-
-function getAspectRatioForCard( card ) {
+// Aspect ratio from the loaded image or data-width/height, null when unknown
+function getKnownAspectRatio( card ) {
 	const img = card.querySelector( 'img' );
 	const anchor = card.querySelector( 'a' );
 
@@ -67,297 +90,747 @@ function getAspectRatioForCard( card ) {
 		return width / height;
 	}
 
-	return 3 / 2;
+	return null;
+}
+
+function getAspectRatioForCard( card ) {
+	return getKnownAspectRatio( card ) ?? FALLBACK_ASPECT_RATIO;
 }
 
-function getImagesPerRow( containerWidth, breakpoints, responsiveSettings ) {
-	const sortedBreakpoints = Object.entries( breakpoints ).sort(
-		( a, b ) => b[ 1 ] - a[ 1 ]
+// Cards laid out with the fallback ratio are re-flowed once their image loads
+const dimensionWaitingGrids = new Set();
+let dimensionFrame = null;
+
+function watchForDimensions( card ) {
+	const img = card.querySelector( 'img' );
+	if ( ! img || card._flickrDimensionWatch ) {
+		return;
+	}
+	card._flickrDimensionWatch = true;
+
+	img.addEventListener(
+		'load',
+		() => {
+			card._flickrDimensionWatch = false;
+			const grid = card.closest( '.flickr-justified-grid' );
+			if ( ! grid ) {
+				return;
+			}
+			// Images often finish in bursts; one pass per frame covers them all
+			dimensionWaitingGrids.add( grid );
+			if ( dimensionFrame === null ) {
+				dimensionFrame = requestAnimationFrame( () => {
+					dimensionFrame = null;
+					const grids = Array.from( dimensionWaitingGrids );
+					dimensionWaitingGrids.clear();
+					grids.forEach( reflowChangedRows );
+				} );
+			}
+		},
+		{ once: true }
 	);
+}
 
-	for ( const [ key, width ] of sortedBreakpoints ) {
-		if ( containerWidth >= width && responsiveSettings[ key ] ) {
-			return responsiveSettings[ key ];
+function getCardAspectRatios( cards ) {
+	return cards.map( ( card ) => {
+		const ratio = getKnownAspectRatio( card );
+		if ( ratio === null ) {
+			watchForDimensions( card );
+			return FALLBACK_ASPECT_RATIO;
 		}
-	}
+		return ratio;
+	} );
+}
+
+function applyBoxToCard( card, box ) {
+	card.style.width = box.width + 'px';
+	card.style.height = box.height + 'px';
 
-	const fallbackKeys = [
-		'mobile',
-		'mobile_landscape',
-		'tablet_portrait',
-		'default',
-	];
-	for ( const key of fallbackKeys ) {
-		if ( responsiveSettings[ key ] ) {
-			return responsiveSettings[ key ];
+	const img = card.querySelector( 'img' );
+	if ( img ) {
+		const rotation = normalizeRotation(
+			card.dataset?.rotation || img.dataset?.rotation || 0
+		);
+		img.style.width = '100%';
+		img.style.height = '100%';
+		img.style.objectFit = shouldSwapDimensions( rotation )
+			? 'contain'
+			: 'cover';
+
+		// Focal point (percentages) chosen in the editor steers the crop
+		const { focalX, focalY } = card.dataset;
+		if ( focalX !== undefined && focalY !== undefined ) {
+			img.style.objectPosition = `${ focalX }% ${ focalY }%`;
 		}
 	}
-	return 1;
 }
 
-export function initJustifiedGallery() {
-	const grids = document.querySelectorAll(
-		'.flickr-justified-grid:not(.justified-initialized)'
+// "4:3" → 1.333…; anything unparsable falls back to square cells
+function parseAspectRatio( value ) {
+	const [ width, height ] = String( value || '' )
+		.split( ':' )
+		.map( ( part ) => parseFloat( part ) );
+	return width > 0 && height > 0 ? width / height : 1;
+}
+
+function getContainerWidth( grid ) {
+	return (
+		grid.offsetWidth ||
+		grid.clientWidth ||
+		grid.getBoundingClientRect().width
 	);
+}
 
-	grids.forEach( ( grid ) => {
-		const gap = parseInt(
+// Block-level gap. Older markup has no data-gap, so remember the inline
+// --gap before a breakpoint override replaces it.
+function getBaseGap( grid ) {
+	if ( grid.dataset.gap === undefined ) {
+		grid.dataset.gap = parseInt(
 			getComputedStyle( grid ).getPropertyValue( '--gap' ) || '12',
 			10
 		);
+	}
+	return parseInt( grid.dataset.gap, 10 );
+}
 
-		function processRows() {
-			const containerWidth =
-				grid.offsetWidth ||
-				grid.clientWidth ||
-				grid.getBoundingClientRect().width;
-			if ( containerWidth === 0 ) {
-				return;
-			}
+function getLayoutOptions( grid, containerWidth ) {
+	const responsiveSettings = JSON.parse(
+		grid.dataset.responsiveSettings || '{}'
+	);
+	const breakpoints = JSON.parse( grid.dataset.breakpoints || '{}' );
+	const overrides = getResponsiveOverrides(
+		containerWidth,
+		breakpoints,
+		JSON.parse( grid.dataset.responsiveOverrides || '{}' )
+	);
+	const maxViewportHeight =
+		overrides.maxViewportHeight ??
+		parseInt( grid.dataset.maxViewportHeight || '80', 10 );
+
+	const maxRowHeightVh = Math.max(
+		50,
+		Math.min(
+			window.innerHeight,
+			window.innerHeight * ( maxViewportHeight / 100 )
+		)
+	);
 
-			const responsiveSettings = JSON.parse(
-				grid.dataset.responsiveSettings || '{}'
-			);
-			const breakpoints = JSON.parse(
-				grid.dataset.breakpoints || '{}'
-			);
-			const rowHeightMode = grid.dataset.rowHeightMode || 'auto';
-			const targetRowHeight = parseInt(
-				grid.dataset.rowHeight || '300',
-				10
-			);
-			const maxViewportHeight = parseInt(
-				grid.dataset.maxViewportHeight || '80',
-				10
-			);
+	return {
+		layout: grid.dataset.layout || 'justified',
+		containerWidth,
+		gap: overrides.gap ?? getBaseGap( grid ),
+		mode: grid.dataset.rowHeightMode || 'auto',
+		imagesPerRow: getImagesPerRow(
+			containerWidth,
+			breakpoints,
+			responsiveSettings
+		),
+		targetRowHeight:
+			overrides.rowHeight ??
+			parseInt( grid.dataset.rowHeight || '300', 10 ),
+		heightTolerance:
+			( parseFloat( grid.dataset.rowHeightTolerance ) || 0 ) / 100,
+		maxRowHeight: maxRowHeightVh,
+		alignment: grid.dataset.singleImageAlignment || 'center',
+		cellAspectRatio: parseAspectRatio( grid.dataset.gridAspectRatio ),
+		lastRow: grid.dataset.lastRowBehavior || 'justify',
+		minAspectRatio: parseFloat( grid.dataset.minAspectRatio ) || 0,
+		maxAspectRatio: parseFloat( grid.dataset.maxAspectRatio ) || 0,
+		autoFullRowRatio: parseFloat( grid.dataset.autoFullRowRatio ) || 0,
+	};
+}
 
-			const maxRowHeightVh = Math.max(
-				50,
-				Math.min(
-					window.innerHeight,
-					window.innerHeight * ( maxViewportHeight / 100 )
-				)
-			);
+/**
+ * Read everything the layout core needs from the cards into plain data.
+ *
+ * @param {Element[]} cards   Cards in display order.
+ * @param {Object}    options Result of getLayoutOptions().
+ * @return {{layout: string, params: Object}} Arguments for computeLayout();
+ *                                            structured-cloneable for the worker.
+ */
+function getLayoutInput( cards, options ) {
+	const { aspectRatios, fullRowFlags } = applyAspectRatioLimits( {
+		aspectRatios: getCardAspectRatios( cards ),
+		fullRowFlags: cards.map( ( card ) => card.dataset.fullRow === '1' ),
+		minAspectRatio: options.minAspectRatio,
+		maxAspectRatio: options.maxAspectRatio,
+		autoFullRowRatio: options.autoFullRowRatio,
+	} );
 
-			const allCards = Array.from(
-				grid.querySelectorAll( ':scope > .flickr-justified-card' )
-			);
-			if ( allCards.length === 0 ) {
-				return;
-			}
+	if ( options.layout === LAYOUT_MASONRY ) {
+		return {
+			layout: LAYOUT_MASONRY,
+			params: {
+				aspectRatios,
+				fullRowFlags,
+				containerWidth: options.containerWidth,
+				gap: options.gap,
+				columns: options.imagesPerRow,
+				maxRowHeight: options.maxRowHeight,
+			},
+		};
+	}
 
-			const staging = document.createDocumentFragment();
+	if ( options.layout === LAYOUT_GRID ) {
+		return {
+			layout: LAYOUT_GRID,
+			params: {
+				count: cards.length,
+				fullRowFlags,
+				containerWidth: options.containerWidth,
+				gap: options.gap,
+				columns: options.imagesPerRow,
+				cellAspectRatio: options.cellAspectRatio,
+				alignment: options.alignment,
+			},
+		};
+	}
 
-			const imagesPerRow = getImagesPerRow(
-				containerWidth,
-				breakpoints,
-				responsiveSettings
-			);
-			const aspectRatios = allCards.map( getAspectRatioForCard );
+	return {
+		layout: options.layout,
+		params: {
+			...options,
+			aspectRatios,
+			fullRowFlags,
+			featuredFlags: cards.map(
+				( card ) => card.dataset.featured === '1'
+			),
+		},
+	};
+}
 
-			if ( allCards.length === 1 ) {
-				const row = document.createElement( 'div' );
-				row.className = 'flickr-justified-row';
+// Masonry cards are absolutely positioned inside a single row-level block, so
+// DOM order (and with it PhotoSwipe indexing) stays in input order.
+function renderMasonry( cards, layout ) {
+	const block = document.createElement( 'div' );
+	block.className = 'flickr-justified-row flickr-justified-masonry';
+	block.style.height = layout.containerHeight + 'px';
+
+	layout.boxes.forEach( ( box ) => {
+		const card = cards[ box.index ];
+		applyBoxToCard( card, box );
+		// Logical offset: columns fill from the right in right-to-left galleries
+		card.style.insetInlineStart = box.left + 'px';
+		card.style.top = box.top + 'px';
+		block.appendChild( card );
+	} );
 
-				const aspectRatio = aspectRatios[ 0 ];
-				const heightFromWidth = containerWidth / aspectRatio;
-				let cardHeight = Math.min( heightFromWidth, maxRowHeightVh );
-				let cardWidth = cardHeight * aspectRatio;
+	const staging = document.createDocumentFragment();
+	staging.appendChild( block );
+	return staging;
+}
 
-				if ( cardWidth > containerWidth ) {
-					cardWidth = containerWidth;
-					cardHeight = cardWidth / aspectRatio;
-				}
+function createRowElement( rowLayout, cards ) {
+	const row = document.createElement( 'div' );
+	row.className = 'flickr-justified-row';
+	if ( rowLayout.lastRow ) {
+		row.dataset.lastRow = rowLayout.lastRow;
+	}
+	row.hidden = !! rowLayout.hidden;
+
+	// Mosaic rows put the stacked pair in a column beside the featured card
+	let stack = null;
+	if ( rowLayout.mosaic ) {
+		row.classList.add( 'flickr-justified-mosaic' );
+		stack = document.createElement( 'div' );
+		stack.className = 'flickr-justified-stack';
+	}
 
-				const card = allCards[ 0 ];
-				card.style.width = Math.round( cardWidth ) + 'px';
-				card.style.height = Math.round( cardHeight ) + 'px';
+	rowLayout.boxes.forEach( ( box, position ) => {
+		const card = cards[ box.index ];
+		applyBoxToCard( card, box );
+		( stack && position > 0 ? stack : row ).appendChild( card );
+	} );
 
-				const img = card.querySelector( 'img' );
-				if ( img ) {
-					const rotation = normalizeRotation(
-						card.dataset?.rotation || img.dataset?.rotation || 0
-					);
-					const shouldSwap = shouldSwapDimensions( rotation );
-					img.style.width = '100%';
-					img.style.height = '100%';
-					img.style.objectFit = shouldSwap ? 'contain' : 'cover';
-				}
+	if ( stack ) {
+		row.appendChild( stack );
+	}
+
+	return row;
+}
+
+// Wrap cards into row elements for computed geometry, in a detached fragment
+function renderLayout( cards, layoutMode, layout ) {
+	if ( layoutMode === LAYOUT_MASONRY ) {
+		return renderMasonry( cards, layout );
+	}
+
+	const staging = document.createDocumentFragment();
+	layout.rows.forEach( ( rowLayout ) => {
+		staging.appendChild( createRowElement( rowLayout, cards ) );
+	} );
+	return staging;
+}
+
+// Lay cards out and wrap them into row elements inside a detached fragment
+function buildRows( cards, options ) {
+	const input = getLayoutInput( cards, options );
+	return renderLayout(
+		cards,
+		input.layout,
+		computeLayout( input.layout, input.params )
+	);
+}
+
+// True when a rendered row already holds these cards at these sizes
+function rowMatchesLayout( row, rowLayout, cards ) {
+	const rowCards = row.querySelectorAll( '.flickr-justified-card' );
+	return (
+		rowCards.length === rowLayout.boxes.length &&
+		row.hidden === !! rowLayout.hidden &&
+		( row.dataset.lastRow || '' ) === ( rowLayout.lastRow || '' ) &&
+		rowLayout.boxes.every( ( box, position ) => {
+			const card = cards[ box.index ];
+			return (
+				rowCards[ position ] === card &&
+				card.style.width === box.width + 'px' &&
+				card.style.height === box.height + 'px'
+			);
+		} )
+	);
+}
+
+/**
+ * Re-flow an initialized grid after some cards learned their real dimensions.
+ *
+ * Rows whose cards and sizes come out the same are left in place; only rows
+ * that changed are rebuilt. Masonry is one block and is rebuilt whole, and
+ * when the number of rows changes (optimal mode) every row is rebuilt.
+ * Groups are laid out on their own, so this holds per group.
+ * Uniform grid cells don't depend on image shape, so there is nothing to do.
+ *
+ * @param {Element} grid Initialized `.flickr-justified-grid`.
+ */
+function reflowChangedRows( grid ) {
+	if (
+		! grid.isConnected ||
+		! grid.classList.contains( 'justified-initialized' )
+	) {
+		return;
+	}
+
+	const containerWidth = getContainerWidth( grid );
+	if ( containerWidth === 0 ) {
+		return;
+	}
 
-				row.appendChild( card );
-				staging.appendChild( row );
+	// A worker pass in flight would overwrite this; redo it with current ratios
+	if ( grid._flickrLayoutPending ) {
+		processRows( grid );
+		return;
+	}
+
+	const options = getLayoutOptions( grid, containerWidth );
+	if ( options.layout === LAYOUT_GRID ) {
+		return;
+	}
 
-				grid.appendChild( staging );
+	try {
+		// Work out every change first, so cards are measured before any move
+		const updates = [];
+		getRowGroups( getGridRows( grid ) ).forEach( ( rows, key ) => {
+			const cards = rows.flatMap( ( row ) =>
+				Array.from( row.querySelectorAll( '.flickr-justified-card' ) )
+			);
+			if ( cards.length === 0 ) {
 				return;
 			}
 
-			function flushRow( cards, ars ) {
-				if ( cards.length === 0 ) return;
-
-				let optimalHeight;
-				if ( rowHeightMode === 'fixed' ) {
-					optimalHeight = targetRowHeight;
-				} else {
-					optimalHeight = calculateOptimalRowHeight(
-						ars,
-						containerWidth,
-						gap
-					);
-					optimalHeight = Math.max(
-						100,
-						Math.min( optimalHeight, maxRowHeightVh )
+			const input = getLayoutInput( cards, options );
+			const layout =
+				options.layout === LAYOUT_MASONRY
+					? null
+					: computeLayout( input.layout, input.params );
+
+			if ( ! layout || layout.rows.length !== rows.length ) {
+				updates.push( () => {
+					grid.insertBefore(
+						wrapGroup(
+							grid,
+							key,
+							buildRows( cards, options ),
+							false
+						),
+						getRowAnchor( rows[ 0 ] )
 					);
-				}
+					removeRows( rows );
+				} );
+				return;
+			}
 
-				const row = document.createElement( 'div' );
-				row.className = 'flickr-justified-row';
-
-				cards.forEach( ( cardElement, idx ) => {
-					const ar = ars[ idx ];
-					const cw = Math.round( optimalHeight * ar );
-					const ch = Math.round( optimalHeight );
-
-					cardElement.style.width = cw + 'px';
-					cardElement.style.height = ch + 'px';
-
-					const img = cardElement.querySelector( 'img' );
-					if ( img ) {
-						const rotation = normalizeRotation(
-							cardElement.dataset?.rotation ||
-								img.dataset?.rotation ||
-								0
-						);
-						const shouldSwap = shouldSwapDimensions( rotation );
-						img.style.width = '100%';
-						img.style.height = '100%';
-						img.style.objectFit = shouldSwap
-							? 'contain'
-							: 'cover';
+			layout.rows.forEach( ( rowLayout, i ) => {
+				if ( rowMatchesLayout( rows[ i ], rowLayout, cards ) ) {
+					return;
+				}
+				updates.push( () => {
+					const row = createRowElement( rowLayout, cards );
+					if ( key !== null ) {
+						row.dataset.group = key;
 					}
-
-					row.appendChild( cardElement );
+					replaceRow( rows[ i ], row );
 				} );
+			} );
+		} );
 
-				staging.appendChild( row );
-			}
+		if ( updates.length === 0 ) {
+			return;
+		}
 
-			function createFullWidthRow( card, aspectRatio ) {
-				const row = document.createElement( 'div' );
-				row.className = 'flickr-justified-row';
+		const boxes = captureCardBoxes( grid );
+		updates.forEach( ( update ) => update() );
+		animateFromBoxes( boxes );
+	} catch ( error ) {
+		console.error( 'Flickr Gallery: Error during layout:', error );
+		return;
+	}
 
-				const heightFromWidth = containerWidth / aspectRatio;
-				let cardHeight = Math.min( heightFromWidth, maxRowHeightVh );
-				let cardWidth = cardHeight * aspectRatio;
+	observeRows( grid );
+	dispatchLayoutEvents( grid );
+}
 
-				if ( cardWidth > containerWidth ) {
-					cardWidth = containerWidth;
-					cardHeight = cardWidth / aspectRatio;
-				}
+function appendRows( grid, staging ) {
+	const loadingIndicator = grid.querySelector( '.flickr-loading-more' );
+	const shouldPreserveIndicator =
+		loadingIndicator && ! loadingIndicator.dataset.removeMe;
 
-				card.style.width = Math.round( cardWidth ) + 'px';
-				card.style.height = Math.round( cardHeight ) + 'px';
+	// DocumentFragment empties itself when appended — single DOM operation
+	grid.appendChild( staging );
 
-				const img = card.querySelector( 'img' );
-				if ( img ) {
-					const rotation = normalizeRotation(
-						card.dataset?.rotation || img.dataset?.rotation || 0
-					);
-					const shouldSwap = shouldSwapDimensions( rotation );
-					img.style.width = '100%';
-					img.style.height = '100%';
-					img.style.objectFit = shouldSwap ? 'contain' : 'cover';
-				}
+	if ( loadingIndicator && shouldPreserveIndicator ) {
+		grid.appendChild( loadingIndicator );
+	}
+}
 
-				row.appendChild( card );
-				staging.appendChild( row );
-			}
+function dispatchLayoutEvents( grid ) {
+	const reinitEvent = new CustomEvent( 'flickrGalleryReorganized', {
+		detail: { grid },
+	} );
+	document.dispatchEvent( reinitEvent );
 
-			let currentRow = [];
-			let currentRowAspectRatios = [];
+	requestAnimationFrame( () => {
+		const photoswipeEvent = new CustomEvent( 'flickr-gallery-updated', {
+			detail: { gallery: grid },
+		} );
+		document.dispatchEvent( photoswipeEvent );
+	} );
+}
 
-			for ( let i = 0; i < allCards.length; i++ ) {
-				const card = allCards[ i ];
-				const aspectRatio = aspectRatios[ i ];
-				const isFullRow = card.dataset.fullRow === '1';
+// Lay out every card of one grid from scratch at its current width
+function processRows( grid ) {
+	const containerWidth = getContainerWidth( grid );
+	if ( containerWidth === 0 ) {
+		return;
+	}
 
-				if ( isFullRow ) {
-					flushRow( currentRow, currentRowAspectRatios );
-					currentRow = [];
-					currentRowAspectRatios = [];
-					createFullWidthRow( card, aspectRatio );
-					continue;
-				}
+	// Cards may still sit in rows from a previous pass (resize, image refresh)
+	const allCards = getGridCards( grid );
+	if ( allCards.length === 0 ) {
+		return;
+	}
 
-				currentRow.push( card );
-				currentRowAspectRatios.push( aspectRatio );
+	const options = getLayoutOptions( grid, containerWidth );
+	// Each group is laid out on its own; an ungrouped grid is a single group
+	const groups = groupCards( grid, allCards );
+	const inputs = groups.map( ( group ) =>
+		getLayoutInput( group.cards, options )
+	);
+	const computeOnMainThread = () =>
+		inputs.map( ( input ) => computeLayout( input.layout, input.params ) );
+
+	// A newer pass supersedes any worker result still in flight
+	const requestId = ( grid._flickrLayoutRequest || 0 ) + 1;
+	grid._flickrLayoutRequest = requestId;
+
+	function applyLayout( layouts ) {
+		// The first pass has no earlier layout to animate from
+		const boxes = grid._flickrLayoutWidth ? captureCardBoxes( grid ) : null;
+		// Row CSS spaces cards with --gap, which may differ per breakpoint
+		grid.style.setProperty( '--gap', options.gap + 'px' );
+
+		const staleRows = getGridRows( grid );
+		const staleHeadings = getGroupHeadings( grid );
+		const staging = document.createDocumentFragment();
+		groups.forEach( ( group, i ) => {
+			// A section without cards still places its divider
+			const rows = group.cards.length
+				? renderLayout( group.cards, inputs[ i ].layout, layouts[ i ] )
+				: document.createDocumentFragment();
+			staging.appendChild( wrapGroup( grid, group.key, rows ) );
+		} );
+		appendRows( grid, staging );
+		removeRows( staleRows );
+		staleHeadings.forEach( ( heading ) => heading.remove() );
+		observeRows( grid );
+		animateFromBoxes( boxes );
+
+		grid._flickrLayoutWidth = containerWidth;
+		dispatchLayoutEvents( grid );
+	}
 
-				const isLastCard = i === allCards.length - 1;
-				const rowFull = currentRow.length >= imagesPerRow;
+	if ( ! shouldUseWorker( grid, allCards.length ) ) {
+		grid._flickrLayoutPending = false;
+		applyLayout( computeOnMainThread() );
+		return;
+	}
 
-				if ( rowFull || isLastCard ) {
-					flushRow( currentRow, currentRowAspectRatios );
-					currentRow = [];
-					currentRowAspectRatios = [];
+	// Holds the id of the worker pass in flight, cleared by that pass however
+	// it ends
+	grid._flickrLayoutPending = requestId;
+	Promise.all( inputs.map( ( input ) => computeLayoutInWorker( input ) ) )
+		.catch( ( error ) => {
+			console.warn(
+				'Flickr Gallery: Layout worker failed, using main thread:',
+				error
+			);
+			return null;
+		} )
+		.then( ( layouts ) => {
+			// Apply all widths/heights in one frame
+			requestAnimationFrame( () => {
+				if ( grid._flickrLayoutPending === requestId ) {
+					grid._flickrLayoutPending = false;
 				}
-			}
+				if ( grid._flickrLayoutRequest !== requestId ) {
+					return;
+				}
+				// Cards were added or re-laid out meanwhile; start over
+				const currentCards = getGridCards( grid );
+				if (
+					currentCards.length !== allCards.length ||
+					currentCards.some( ( card, i ) => card !== allCards[ i ] )
+				) {
+					processRows( grid );
+					return;
+				}
+				try {
+					applyLayout( layouts || computeOnMainThread() );
+				} catch ( error ) {
+					console.error(
+						'Flickr Gallery: Error during layout:',
+						error
+					);
+				}
+			} );
+		} );
+}
 
-			const loadingIndicator = grid.querySelector(
-				'.flickr-loading-more'
-			);
-			const shouldPreserveIndicator =
-				loadingIndicator && ! loadingIndicator.dataset.removeMe;
+function layoutGrid( grid ) {
+	try {
+		processRows( grid );
+	} catch ( error ) {
+		console.error( 'Flickr Gallery: Error during layout:', error );
+	}
+}
 
-			// DocumentFragment empties itself when appended — single DOM operation
-			grid.appendChild( staging );
+/**
+ * Lay out every uninitialized grid on the page.
+ *
+ * Reads card aspect ratios and grid settings from the DOM, asks the layout
+ * core for row geometry, then wraps cards into row elements in one append.
+ */
+export function initJustifiedGallery() {
+	const grids = document.querySelectorAll(
+		'.flickr-justified-grid:not(.justified-initialized)'
+	);
 
-			if ( loadingIndicator && shouldPreserveIndicator ) {
-				grid.appendChild( loadingIndicator );
-			}
-		}
+	grids.forEach( ( grid ) => {
+		// Set first so layout event listeners see an initialized grid
+		grid.classList.add( 'justified-initialized' );
 
 		try {
-			processRows();
+			processRows( grid );
 		} catch ( error ) {
 			console.error( 'Flickr Gallery: Error during layout:', error );
 		}
 
-		grid.classList.add( 'justified-initialized' );
-
 		// Observe container resizes (catches sidebar collapse, CSS transitions, etc.)
 		if ( ! grid._flickrResizeObserver ) {
 			grid._flickrResizeObserver = resizeObserver;
 			resizeObserver.observe( grid );
+			visibilityObserver.observe( grid );
 		}
+	} );
+}
 
-		const reinitEvent = new CustomEvent( 'flickrGalleryReorganized', {
-			detail: { grid },
-		} );
-		document.dispatchEvent( reinitEvent );
+// Re-flow the last row of one group together with the cards added to it
+function appendToGroup( grid, rows, newCards, options, key, isLastGroup ) {
+	let reflowRows = [ rows[ rows.length - 1 ] ];
+	// Balancing borrowed cards from the row above; give them back first
+	if ( rows.length > 1 && rows[ rows.length - 2 ].dataset.lastRow ) {
+		reflowRows.unshift( rows[ rows.length - 2 ] );
+	}
 
-		requestAnimationFrame( () => {
-			const photoswipeEvent = new CustomEvent(
-				'flickr-gallery-updated',
-				{ detail: { gallery: grid } }
-			);
-			document.dispatchEvent( photoswipeEvent );
+	let carriedCards = reflowRows.flatMap( ( row ) =>
+		Array.from( row.querySelectorAll( '.flickr-justified-card' ) )
+	);
+	if (
+		options.layout !== LAYOUT_MASONRY &&
+		carriedCards.length === 1 &&
+		carriedCards[ 0 ].dataset.fullRow === '1'
+	) {
+		carriedCards = [];
+		reflowRows = [];
+	}
+
+	const staging = wrapGroup(
+		grid,
+		key,
+		buildRows( carriedCards.concat( newCards ), options ),
+		false
+	);
+
+	if ( reflowRows.length ) {
+		// Carried cards have moved into the staging rows, leaving these empty
+		grid.insertBefore( staging, getRowAnchor( reflowRows[ 0 ] ) );
+		removeRows( reflowRows );
+	} else if ( isLastGroup ) {
+		appendRows( grid, staging );
+	} else {
+		grid.insertBefore(
+			staging,
+			getRowAnchor( rows[ rows.length - 1 ] ).nextSibling
+		);
+	}
+}
+
+/**
+ * Lay out cards added to the end of an already initialized grid.
+ *
+ * Only the last row is re-flowed together with the new cards; rows above it
+ * keep their geometry, so nothing the visitor has scrolled past moves. A
+ * trailing full-row card is left alone because its row never takes more cards,
+ * and a hidden or balanced last row is re-flowed like any other.
+ * In optimal mode the row breaks are balanced over the re-flowed cards only.
+ * A masonry grid is a single block, so it is re-flowed whole; column
+ * placement of earlier cards does not depend on later ones, so they stay put.
+ * In a grouped grid each card joins its own group, re-flowing the last row of
+ * that group; cards of a group not on the page yet start it, heading first,
+ * at the end. In a grid with dividers new cards join the section after the
+ * last divider.
+ *
+ * @param {Element}   grid     Initialized `.flickr-justified-grid`.
+ * @param {Element[]} newCards Cards in display order; may be detached.
+ * @return {boolean} False when the grid cannot be laid out incrementally and
+ *                   needs a full initJustifiedGallery() pass instead.
+ */
+export function appendJustifiedCards( grid, newCards ) {
+	if ( ! grid.classList.contains( 'justified-initialized' ) ) {
+		return false;
+	}
+
+	const containerWidth = getContainerWidth( grid );
+	if ( containerWidth === 0 ) {
+		return false;
+	}
+
+	const rows = getGridRows( grid );
+	if ( rows.length === 0 ) {
+		return false;
+	}
+
+	if ( newCards.length === 0 ) {
+		return true;
+	}
+
+	const options = getLayoutOptions( grid, containerWidth );
+	const rowGroups = getRowGroups( rows );
+	const lastKey = Array.from( rowGroups.keys() ).pop();
+	const newGroups = groupCards( grid, newCards ).filter(
+		( group ) => group.cards.length > 0
+	);
+
+	try {
+		const boxes = captureCardBoxes( grid );
+
+		// Existing groups first, so a new group never lands above an old one
+		newGroups.forEach( ( { key, cards } ) => {
+			if ( rowGroups.has( key ) ) {
+				appendToGroup(
+					grid,
+					rowGroups.get( key ),
+					cards,
+					options,
+					key,
+					key === lastKey
+				);
+			}
 		} );
-	} );
+		newGroups.forEach( ( { key, cards } ) => {
+			if ( rowGroups.has( key ) ) {
+				return;
+			}
+			const staging = wrapGroup( grid, key, buildRows( cards, options ) );
+			const nextDivider = getNextDivider( grid, key );
+			if ( nextDivider ) {
+				grid.insertBefore( staging, nextDivider );
+			} else {
+				appendRows( grid, staging );
+			}
+		} );
+
+		observeRows( grid );
+		animateFromBoxes( boxes );
+	} catch ( error ) {
+		console.error( 'Flickr Gallery: Error during layout:', error );
+		return false;
+	}
+
+	dispatchLayoutEvents( grid );
+	return true;
+}
+
+// Width changes smaller than this (sub-pixel rounding, zoom jitter) keep the
+// current rows
+const RESIZE_WIDTH_THRESHOLD = 4;
+
+// Grids are re-flowed only when their own width changed. Offscreen grids are
+// marked stale and re-flowed when they scroll near the viewport.
+const resizedGrids = new Set();
+let resizeTimeout;
+
+function needsReflow( grid ) {
+	return (
+		grid.isConnected &&
+		grid.classList.contains( 'justified-initialized' ) &&
+		Math.abs(
+			getContainerWidth( grid ) - ( grid._flickrLayoutWidth || 0 )
+		) >= RESIZE_WIDTH_THRESHOLD
+	);
 }
 
 // ResizeObserver replaces the old window resize listener — it catches both
 // window resizes and container-level size changes (e.g. sidebar toggle).
-let resizeTimeout;
-const resizeObserver = new ResizeObserver( () => {
+const resizeObserver = new ResizeObserver( ( entries ) => {
+	entries.forEach( ( entry ) => resizedGrids.add( entry.target ) );
+
 	clearTimeout( resizeTimeout );
 	resizeTimeout = setTimeout( () => {
-		const grids = document.querySelectorAll(
-			'.flickr-justified-grid.justified-initialized'
-		);
-		grids.forEach( ( grid ) => {
-			grid.classList.remove( 'justified-initialized' );
+		const grids = Array.from( resizedGrids );
+		resizedGrids.clear();
+		grids.filter( needsReflow ).forEach( ( grid ) => {
+			if ( grid._flickrOffscreen ) {
+				grid._flickrStaleLayout = true;
+				return;
+			}
+			layoutGrid( grid );
 		} );
-		initJustifiedGallery();
 	}, 250 );
 } );
 
+const visibilityObserver = new IntersectionObserver(
+	( entries ) => {
+		entries.forEach( ( entry ) => {
+			const grid = entry.target;
+			grid._flickrOffscreen = ! entry.isIntersecting;
+			if ( entry.isIntersecting && grid._flickrStaleLayout ) {
+				grid._flickrStaleLayout = false;
+				if ( needsReflow( grid ) ) {
+					layoutGrid( grid );
+				}
+			}
+		} );
+	},
+	{ rootMargin: '200px 0px' }
+);
+
 export { normalizeRotation, shouldSwapDimensions, getAspectRatioForCard };
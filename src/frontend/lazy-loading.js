@@ -3,7 +3,12 @@
  *
  * Handles infinite scroll lazy loading for album galleries.
  * Uses Intersection Observer to detect when user scrolls near bottom,
- * then fetches and adds more photos progressively.
+ * then fetches and adds more photos progressively. Galleries with
+ * data-pagination="button" load the next pages from a "Load more" button
+ * instead; numbered galleries are paged by the server (pagination.js).
+ *
+ * Loaded pages are kept in sessionStorage, so coming back to the page (back
+ * button, reload) shows them again at the same scroll position.
  */
 
 import {
@@ -11,15 +16,22 @@ import {
     setLoadedCount,
     getPhotoLimit,
     createLoadingIndicatorElement,
-    maintainLoadingIndicator
+    maintainLoadingIndicator,
+    reserveSetQuotas,
+    runWithConcurrency
 } from './helpers';
-import { initJustifiedGallery } from './layout';
-import { getRestUrl } from './config';
+import { initJustifiedGallery, appendJustifiedCards } from './layout';
+import { getGridCards, getGridRows, removeRows } from './virtual-rows';
+import { getRestUrl, getAlbumConcurrency } from './config';
 import { log, warn } from './debug';
 
 // Constants
 const SORT_VIEWS_DESC = 'views_desc';
 const MAX_RENDERED_IDS = 10000; // Cap for renderedPhotoIds Set to prevent memory growth
+const PHOTOS_PER_PAGE = 50; // Page size of the load-album-page endpoint
+const SET_FETCH_TIMEOUT = 20000; // A set slower than this is cancelled on its own and retried
+const SNAPSHOT_KEY_PREFIX = 'flickr-justified-gallery:';
+const SCROLL_KEY_PREFIX = 'flickr-justified-scroll:';
 
 /**
  * Performance note: Queue uses Array.shift() which is O(n).
@@ -48,7 +60,12 @@ const galleryStates = new WeakMap();
  * @property {Set<string>} renderedPhotoIds - De-dupe Set (NEVER reassign!)
  * @property {Array<string>} renderedPhotoQueue - Insertion order queue for capping
  * @property {Array} pendingPhotos - Photos waiting to be added to gallery
+ * @property {Array} loadedPhotos - Photos added by lazy loading, kept for session restore
+ * @property {boolean} isPrefetching - The load in flight is a background prefetch
+ * @property {boolean} showPrefetched - Sentinel fired during a prefetch: show its photos on arrival
+ * @property {Function|null} cancelPrefetch - Cancels the scheduled idle-time prefetch
  * @property {IntersectionObserver|null} io - Scroll observer
+ * @property {HTMLButtonElement|null} loadMoreButton - "Load more" button (button pagination)
  * @property {boolean} observerTriggered - Latch to prevent observer spam
  * @property {number} lastObserverFire - Throttle observer callback spam
  * @property {number} lastReinit - Cooldown timestamp
@@ -143,7 +160,12 @@ function createInitialState(gallery) {
         renderedPhotoIds: new Set(),  // NEVER reassign this Set!
         renderedPhotoQueue: [],  // Insertion order queue for capping
         pendingPhotos: [],  // Store in state, not on DOM element
+        loadedPhotos: [],  // Everything added so far, for session restore
+        isPrefetching: false,
+        showPrefetched: false,
+        cancelPrefetch: null,
         io: null,
+        loadMoreButton: null,
         observerTriggered: false,  // Latch to prevent observer spam
         lastObserverFire: 0,
         lastReinit: 0,
@@ -196,6 +218,9 @@ function destroyGallery(gallery) {
         state.retryTimer = null;
     }
 
+    // Cancel scheduled prefetch
+    state.cancelPrefetch?.();
+
     // Run cleanup functions (event listeners, etc.)
     state.cleanup.forEach(fn => {
         try {
@@ -239,6 +264,7 @@ function stopLazyLoading(state) {
         state.retryTimer = null;
     }
     state.retryAt = null;
+    updateLoadMoreButton(state);
 }
 
 /**
@@ -256,13 +282,99 @@ function stopLazyLoadingDeferFlags(state) {
         state.retryTimer = null;
     }
     state.retryAt = null;
+    updateLoadMoreButton(state);
+}
+
+/**
+ * Show the "Load more" button only while photos remain, disabled during a load
+ * (a background prefetch doesn't count: a click then shows its photos on arrival)
+ * @param {GalleryState} state - Gallery's state
+ */
+function updateLoadMoreButton(state) {
+    const button = state.loadMoreButton;
+    if (!button) {
+        return;
+    }
+    const busy = state.isLoading && !state.isPrefetching;
+    button.parentElement.hidden = !state.hasMore && state.pendingPhotos.length === 0;
+    button.disabled = busy;
+    button.setAttribute('aria-busy', busy ? 'true' : 'false');
+}
+
+/**
+ * Data saver on, or the tab hidden: fetch only what the visitor asks for
+ */
+function shouldSkipPrefetch() {
+    return document.hidden || window.navigator.connection?.saveData === true;
+}
+
+/**
+ * Prefetch the next pages once the browser is idle, so they're ready when the
+ * sentinel fires. The photos wait in state.pendingPhotos until then.
+ * @param {Element}      gallery - `.flickr-justified-grid` element
+ * @param {GalleryState} state   - Gallery's state
+ */
+function schedulePrefetch(gallery, state) {
+    if (state.cancelPrefetch || !state.hasMore || shouldSkipPrefetch()) {
+        return;
+    }
+
+    const run = () => {
+        state.cancelPrefetch = null;
+        if (state.isLoading || !state.hasMore || state.pendingPhotos.length > 0 || shouldSkipPrefetch()) {
+            return;
+        }
+        log('Browser idle - prefetching next pages');
+        loadNextPages(gallery, { prefetch: true });
+    };
+
+    if (typeof window.requestIdleCallback === 'function') {
+        const handle = window.requestIdleCallback(run, { timeout: 5000 });
+        state.cancelPrefetch = () => {
+            window.cancelIdleCallback(handle);
+            state.cancelPrefetch = null;
+        };
+    } else {
+        const handle = setTimeout(run, 1000);
+        state.cancelPrefetch = () => {
+            clearTimeout(handle);
+            state.cancelPrefetch = null;
+        };
+    }
+}
+
+/**
+ * Stop prefetching while the tab is hidden (cancel the scheduled prefetch and
+ * abort one in flight), and pick it up again when the tab comes back
+ * @param {Element}      gallery - `.flickr-justified-grid` element
+ * @param {GalleryState} state   - Gallery's state
+ */
+function watchVisibilityForPrefetch(gallery, state) {
+    const onVisibilityChange = () => {
+        if (!document.hidden) {
+            schedulePrefetch(gallery, state);
+            return;
+        }
+        state.cancelPrefetch?.();
+        if (state.isPrefetching && !state.showPrefetched && state.abortController) {
+            log('Tab hidden - aborting prefetch');
+            state.abortController.abort();
+        }
+    };
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    state.cleanup.push(() => document.removeEventListener('visibilitychange', onVisibilityChange));
 }
 
 function getLastImageInGallery(gallery) {
-    const cards = gallery.querySelectorAll(':scope > .flickr-justified-row .flickr-justified-card, :scope > .flickr-justified-card');
-    if (!cards.length) return null;
-    const lastCard = cards[cards.length - 1];
-    return lastCard.querySelector('img');
+    // Includes cards in unmounted rows; the observer picks the image up once its row mounts.
+    // A last row hidden by lastRowBehavior "hide" is never seen, so watch the last shown card.
+    const cards = getGridCards(gallery);
+    for (let i = cards.length - 1; i >= 0; i--) {
+        if (!cards[i].closest('.flickr-justified-row[hidden]')) {
+            return cards[i].querySelector('img');
+        }
+    }
+    return null;
 }
 
 /**
@@ -283,14 +395,21 @@ function initGallery(gallery) {
         const state = getOrInitState(gallery, () => createInitialState(gallery));
         log(`Loaded set metadata for ${state.setMetadata.length} photosets`);
 
-        // Set up intersection observer (stored in state)
-        const observerSetup = setupIntersectionObserver(gallery, state);
+        // Set up intersection observer or "Load more" button (stored in state)
+        const observerSetup = setupNextPageTrigger(gallery, state);
 
         // Mark as fully initialized ONLY if setup succeeded
         // This ensures failed setups (no images yet) can be retried on next initGallery call
         if (observerSetup) {
             state.initialized = true;
             log(`Gallery ${gallery.id} fully initialized`);
+
+            // Back on the page: bring back the pages loaded before leaving
+            restoreGallerySnapshot(gallery, state);
+
+            // First page is on screen: get the next one ready in the background
+            watchVisibilityForPrefetch(gallery, state);
+            schedulePrefetch(gallery, state);
         } else {
             log(`Gallery ${gallery.id} setup incomplete - waiting for cards to arrive`);
 
@@ -346,6 +465,52 @@ function initGallery(gallery) {
     }
 }
 
+/**
+ * Set up whatever loads the next pages: the "Load more" button for
+ * data-pagination="button", otherwise the scroll observer
+ * @param {Element}      gallery - `.flickr-justified-grid` element
+ * @param {GalleryState} state   - Gallery's state
+ * @return {boolean} true if set up, false if setup failed (no cards yet)
+ */
+function setupNextPageTrigger(gallery, state) {
+    if (gallery.dataset.pagination === 'button') {
+        return setupLoadMoreButton(gallery, state);
+    }
+    return setupIntersectionObserver(gallery, state);
+}
+
+/**
+ * Add the "Load more" button after the gallery (once) and sync its state
+ * @param {Element}      gallery - `.flickr-justified-grid` element
+ * @param {GalleryState} state   - Gallery's state
+ * @return {boolean} Always true - the button doesn't need cards to attach to
+ */
+function setupLoadMoreButton(gallery, state) {
+    if (!state.loadMoreButton) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'flickr-justified-load-more';
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'flickr-justified-load-more__button wp-element-button';
+        // Translated on the server (data-load-more-label)
+        button.textContent = gallery.dataset.loadMoreLabel || 'Load more photos';
+        button.setAttribute('aria-controls', gallery.id);
+        button.addEventListener('click', () => {
+            log('Load more clicked - triggering loadNextPages');
+            loadNextPages(gallery, { userInitiated: true });
+        });
+
+        wrapper.appendChild(button);
+        gallery.after(wrapper);
+        state.loadMoreButton = button;
+        state.cleanup.push(() => wrapper.remove());
+    }
+
+    updateLoadMoreButton(state);
+    return true;
+}
+
 /**
  * Set up or update intersection observer for gallery
  * @returns {boolean} true if successfully observing, false if setup failed
@@ -395,7 +560,8 @@ function initAllGalleries(root = document) {
     // Validate helpers before initializing any galleries (fail fast)
     getHelpersOrThrow();
 
-    const galleriesWithSets = root.querySelectorAll('.flickr-justified-grid[data-set-metadata]');
+    // Numbered galleries get every page from the server; there is nothing to load
+    const galleriesWithSets = root.querySelectorAll('.flickr-justified-grid[data-set-metadata]:not([data-pagination="numbered"])');
 
     if (galleriesWithSets.length === 0) {
         log('No galleries with set metadata found');
@@ -406,23 +572,435 @@ function initAllGalleries(root = document) {
     galleriesWithSets.forEach(gallery => initGallery(gallery));
 }
 
+/**
+ * Sort comparator for views_desc: most viewed first, original position breaks ties
+ * @param {Element} a - Card
+ * @param {Element} b - Card
+ */
+function compareCardsByViews(a, b) {
+    const viewsDiff = parseInt(b.dataset.views || '0', 10) -
+                    parseInt(a.dataset.views || '0', 10);
+    if (viewsDiff !== 0) {
+        return viewsDiff;
+    }
+    return parseInt(a.dataset.position || '0', 10) -
+           parseInt(b.dataset.position || '0', 10);
+}
+
+/**
+ * Sort comparator for albums merged by date: newest first, undated last.
+ * ('YYYY-MM-DD HH:MM:SS' sorts as a string; ties keep load order.)
+ * @param {Element} a - Card
+ * @param {Element} b - Card
+ */
+function compareCardsByDateTaken(a, b) {
+    const takenA = a.dataset.taken || '';
+    const takenB = b.dataset.taken || '';
+    if (takenA === takenB) {
+        return 0;
+    }
+    return takenA < takenB ? 1 : -1;
+}
+
+/**
+ * Order the gallery's cards for its album interleave (data-album-interleave):
+ * - round_robin (default): load order, a page of each album per round;
+ *   views_desc sorts the whole gallery
+ * - sequential: load order, one album after another; views_desc sorts each
+ *   album's photos among themselves
+ * - date_taken / views: every album merged, newest or most viewed first
+ * @param {Element}        gallery - `.flickr-justified-grid` element
+ * @param {Array<Element>} cards   - Cards in load order, sorted in place
+ * @return {Array<Element>} Cards in display order
+ */
+function orderCards(gallery, cards) {
+    const interleave = gallery.dataset.albumInterleave || 'round_robin';
+    if (interleave === 'date_taken') {
+        return cards.sort(compareCardsByDateTaken);
+    }
+    if (interleave === 'views') {
+        return cards.sort(compareCardsByViews);
+    }
+    if (gallery.dataset.sortOrder !== SORT_VIEWS_DESC) {
+        return cards;
+    }
+    if (interleave !== 'sequential') {
+        return cards.sort(compareCardsByViews);
+    }
+
+    // Sort each run of one album's cards; the runs (and other photos) stay put
+    const ordered = [];
+    let run = [];
+    cards.forEach((card, index) => {
+        run.push(card);
+        const next = cards[index + 1];
+        if (!next || !card.dataset.album || next.dataset.album !== card.dataset.album) {
+            ordered.push(...run.sort(compareCardsByViews));
+            run = [];
+        }
+    });
+    return ordered;
+}
+
+// ============================================================================
+// SESSION RESTORE - sessionStorage snapshot per gallery, scroll per page
+// ============================================================================
+
+/**
+ * Storage key for a gallery: its post (or the page path) and its id
+ * @param {Element} gallery - `.flickr-justified-grid` element
+ */
+function getSnapshotKey(gallery) {
+    const post = gallery.dataset.postId || window.location.pathname;
+    return `${SNAPSHOT_KEY_PREFIX}${post}:${gallery.id}`;
+}
+
+function getScrollKey() {
+    return SCROLL_KEY_PREFIX + window.location.pathname + window.location.search;
+}
+
+// sessionStorage throws when disabled or full; restore is best-effort
+function readSession(key) {
+    try {
+        return JSON.parse(window.sessionStorage.getItem(key));
+    } catch (e) {
+        return null;
+    }
+}
+
+function writeSession(key, value) {
+    try {
+        window.sessionStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        warn('Could not save gallery state for back navigation:', e.message);
+        removeSession(key);
+    }
+}
+
+function removeSession(key) {
+    try {
+        window.sessionStorage.removeItem(key);
+    } catch (e) {
+        // Storage unavailable - nothing to remove
+    }
+}
+
+/**
+ * Back/forward or reload: the visitor expects the page as they left it
+ */
+function isReturningToPage() {
+    const entry = window.performance?.getEntriesByType?.('navigation')[0];
+    return entry?.type === 'back_forward' || entry?.type === 'reload';
+}
+
+/**
+ * Save the photos loaded so far and how far each set got
+ * @param {Element}      gallery - `.flickr-justified-grid` element
+ * @param {GalleryState} state   - Gallery's state
+ */
+function saveGallerySnapshot(gallery, state) {
+    writeSession(getSnapshotKey(gallery), {
+        sets: state.setMetadata.map(set => ({ id: set.photoset_id, page: set.current_page, pages: set.total_pages })),
+        photos: state.loadedPhotos
+    });
+}
+
+/**
+ * Re-add the photos saved for this gallery and continue from the saved pages.
+ * A plain visit starts over, dropping what an earlier visit saved.
+ * @param {Element}      gallery - `.flickr-justified-grid` element
+ * @param {GalleryState} state   - Gallery's state
+ * @return {boolean} true if photos were restored
+ */
+function restoreGallerySnapshot(gallery, state) {
+    const key = getSnapshotKey(gallery);
+    if (!isReturningToPage()) {
+        removeSession(key);
+        return false;
+    }
+
+    const snapshot = readSession(key);
+    if (!snapshot || !Array.isArray(snapshot.sets) || !Array.isArray(snapshot.photos) || snapshot.photos.length === 0) {
+        return false;
+    }
+
+    // The block's albums changed since: the saved pages don't fit any more
+    const sameSets = snapshot.sets.length === state.setMetadata.length &&
+        snapshot.sets.every((set, index) => set.id === state.setMetadata[index].photoset_id);
+    if (!sameSets) {
+        log(`Saved state for ${gallery.id} is for other albums, starting over`);
+        removeSession(key);
+        return false;
+    }
+
+    const photoLimit = getPhotoLimit(gallery);
+    const room = photoLimit > 0 ? Math.max(0, photoLimit - getGridCards(gallery).length) : snapshot.photos.length;
+    const photos = snapshot.photos.slice(0, room);
+    if (photos.length === 0) {
+        return false;
+    }
+
+    snapshot.sets.forEach((set, index) => {
+        const setData = state.setMetadata[index];
+        setData.total_pages = Math.max(setData.total_pages, parseInt(set.pages, 10) || 0);
+        setData.current_page = Math.min(Math.max(setData.current_page, parseInt(set.page, 10) || 0), setData.total_pages);
+    });
+    state.hasMore = state.setMetadata.some(set => set.current_page < set.total_pages);
+    photos.forEach(photo => rememberPhotoId(state, photo.id || photo.url));
+
+    log(`Restoring ${photos.length} photos for ${gallery.id}`);
+    restoreScrollAfterLayout(gallery);
+
+    if (state.io) {
+        state.io.disconnect();
+        state.io = null;
+    }
+    state.pendingPhotos = photos;
+    reinitializeGallery(gallery, state);
+    return true;
+}
+
+/**
+ * Scroll back to where the visitor was once the restored photos are laid out.
+ * The browser's own restore ran against the shorter page and fell short.
+ * @param {Element} gallery - `.flickr-justified-grid` element
+ */
+function restoreScrollAfterLayout(gallery) {
+    const scrollY = readSession(getScrollKey());
+    if (typeof scrollY !== 'number') {
+        return;
+    }
+
+    const onLayout = (event) => {
+        if (event.detail?.grid !== gallery) {
+            return;
+        }
+        document.removeEventListener('flickrGalleryReorganized', onLayout);
+        window.requestAnimationFrame(() => window.scrollTo(0, scrollY));
+    };
+    document.addEventListener('flickrGalleryReorganized', onLayout);
+}
+
+function getLazyGalleries() {
+    return Array.from(document.querySelectorAll('.flickr-justified-grid[data-set-metadata]'))
+        .filter(gallery => galleryStates.get(gallery)?.initialized);
+}
+
+// Leaving the page: remember the scroll position, and stop loading so the page
+// can go into the back/forward cache
+window.addEventListener('pagehide', () => {
+    const galleries = getLazyGalleries();
+    if (galleries.length === 0) {
+        return;
+    }
+
+    writeSession(getScrollKey(), window.scrollY);
+    galleries.forEach(gallery => {
+        const state = galleryStates.get(gallery);
+        state.cancelPrefetch?.();
+        state.abortController?.abort();
+    });
+});
+
+// Back from the back/forward cache: the page is as it was, but loads stopped
+// on the way out. Watch for the end of the gallery again.
+window.addEventListener('pageshow', (event) => {
+    if (!event.persisted) {
+        return;
+    }
+
+    getLazyGalleries().forEach(gallery => {
+        const state = galleryStates.get(gallery);
+        if (!state.hasMore && state.pendingPhotos.length === 0) {
+            return;
+        }
+        log(`Restored ${gallery.id} from the back/forward cache`);
+        state.observerTriggered = false;
+        setupNextPageTrigger(gallery, state);
+        schedulePrefetch(gallery, state);
+    });
+});
+
 // ============================================================================
 // PAGINATION & LOADING (Module-level scope for IntersectionObserver access)
 // ============================================================================
 
-async function loadNextPages(gallery) {
+/**
+ * Track a photo as shown, for de-duping later pages
+ * @param {GalleryState} state   - Gallery's state
+ * @param {string}       photoId - Photo ID, or URL for photos without one
+ */
+function rememberPhotoId(state, photoId) {
+    state.renderedPhotoIds.add(photoId);
+    state.renderedPhotoQueue.push(photoId);
+
+    // Evict oldest entries when cap exceeded (NEVER reassign Set!)
+    while (state.renderedPhotoQueue.length > MAX_RENDERED_IDS) {
+        const oldestId = state.renderedPhotoQueue.shift();
+        state.renderedPhotoIds.delete(oldestId);
+    }
+}
+
+/**
+ * Queue a set's photos: skip ones already shown (or queued by an earlier set),
+ * clamp to the set's quota and remember the album for section grouping
+ * @param {GalleryState}  state   - Gallery's state
+ * @param {Object}        setData - Set the photos came from
+ * @param {Array<Object>} photos  - Photos from the set's page
+ * @param {number}        quota   - Most photos the set may add
+ * @return {Array} Accepted photos
+ */
+function acceptSetPhotos(state, setData, photos, quota) {
+    // 1) Compute candidates without mutating state (de-dupe check only)
+    const candidates = [];
+    for (const photo of photos) {
+        const photoId = photo.id || photo.url; // Use ID or URL as key
+        if (state.renderedPhotoIds.has(photoId)) {
+            log(`Skipping duplicate photo: ${photoId}`);
+            continue;
+        }
+        candidates.push({ photo, photoId });
+    }
+
+    // 2) Clamp to the quota reserved before the fetch
+    const accepted = candidates.slice(0, quota);
+    if (candidates.length > quota) {
+        log(`Clamped ${candidates.length} candidates to the ${quota} reserved for set ${setData.photoset_id}`);
+    }
+
+    // 3) Now commit accepted IDs into Set + queue (only accepted photos!)
+    for (const { photoId } of accepted) {
+        rememberPhotoId(state, photoId);
+    }
+
+    // Log cap status if relevant
+    if (state.renderedPhotoQueue.length === MAX_RENDERED_IDS) {
+        log(`De-dupe at capacity: tracking ${MAX_RENDERED_IDS} most recent photo IDs`);
+    }
+
+    log(`Set ${setData.photoset_id}: ${photos.length} photos (${candidates.length} unique, ${accepted.length} accepted)`);
+
+    // 4) Push accepted photos, remembering their album for section grouping
+    const acceptedPhotos = accepted.map(x => ({ ...x.photo, album: setData.photoset_id }));
+    state.pendingPhotos.push(...acceptedPhotos);
+    return acceptedPhotos;
+}
+
+/**
+ * Add state.pendingPhotos to the gallery and re-arm the next-page trigger
+ * @param {Element}      gallery - `.flickr-justified-grid` element
+ * @param {GalleryState} state   - Gallery's state
+ */
+function reinitializeGallery(gallery, state) {
+    log('Reinitializing gallery layout...');
+
+    gallery.querySelector('.flickr-staging')?.remove();
+
+    const existingCards = getGridCards(gallery);
+
+    // Add new photos from state (not DOM)
+    const newCards = [];
+    state.pendingPhotos.forEach(photoData => {
+        const card = createPhotoCard(photoData, gallery);
+        if (card) {
+            newCards.push(card);
+        }
+    });
+    state.loadedPhotos.push(...state.pendingPhotos);
+    state.pendingPhotos = []; // Clear after adding
+
+    // Sort if needed
+    const orderedCards = orderCards(gallery, existingCards.concat(newCards));
+
+    // Append path: existing cards keep their positions, so only the last
+    // row needs to re-flow. Otherwise rebuild the whole layout.
+    const existingOrderKept = existingCards.every((card, index) => orderedCards[index] === card);
+    const appended = existingOrderKept &&
+        appendJustifiedCards(gallery, orderedCards.slice(existingCards.length));
+
+    if (!appended) {
+        log('Incremental layout not possible, rebuilding full layout');
+
+        // Move cards out of row wrappers in their final order
+        const staleRows = getGridRows(gallery);
+        orderedCards.forEach(card => gallery.appendChild(card));
+        removeRows(staleRows);
+
+        // Rebuild layout - browser will handle scroll anchoring
+        gallery.classList.remove('justified-initialized');
+        initJustifiedGallery();
+    }
+
+    const h = getHelpersOrThrow();
+    h.setLoadedCount(gallery, getGridCards(gallery).length);
+
+    // Reset latch and re-setup intersection observer for new last image
+    // Use double requestAnimationFrame for deterministic DOM/layout timing
+    state.observerTriggered = false;
+    state.showPrefetched = false;
+    updateLoadMoreButton(state);
+    if (state.hasMore) {
+        requestAnimationFrame(() => {
+            requestAnimationFrame(() => {
+                setupNextPageTrigger(gallery, state);
+                schedulePrefetch(gallery, state);
+            });
+        });
+    }
+
+    // Notify PhotoSwipe
+    document.dispatchEvent(new CustomEvent('flickr-gallery-updated', {
+        detail: { gallery }
+    }));
+
+    state.lastReinit = Date.now();
+    saveGallerySnapshot(gallery, state);
+    log('Gallery reinitialization complete');
+}
+
+/**
+ * Fetch and add the next page of every album in the gallery
+ * @param {Element} gallery                 - `.flickr-justified-grid` element
+ * @param {Object}  [options]
+ * @param {boolean} [options.userInitiated] - A "Load more" click: skips the cooldown that throttles the scroll observer
+ * @param {boolean} [options.prefetch]      - Background prefetch: keep the photos in state.pendingPhotos until the sentinel fires
+ */
+async function loadNextPages(gallery, { userInitiated = false, prefetch = false } = {}) {
     const state = getState(gallery);
 
     // Concurrency guard: prevent double-loading
     if (state.isLoading) {
+        if (state.isPrefetching && !prefetch) {
+            log('Prefetch in flight, showing its photos when they arrive');
+            state.showPrefetched = true;
+            state.observerTriggered = true;
+            return;
+        }
         log('Already loading, skipping');
         return;
     }
 
+    // A prefetch retried after backoff obeys the same rules as a scheduled one
+    if (prefetch && shouldSkipPrefetch()) {
+        log('Tab hidden or data saver on, skipping prefetch');
+        return;
+    }
+
+    // Prefetched photos are already here: show them without another round trip
+    if (!prefetch && state.pendingPhotos.length > 0) {
+        log(`Showing ${state.pendingPhotos.length} prefetched photos`);
+        if (state.io) {
+            state.io.disconnect();
+            state.io = null;
+        }
+        reinitializeGallery(gallery, state);
+        return;
+    }
+
     // Cooldown check (prevent rapid-fire requests)
     const now = Date.now();
     const timeSinceLastReinit = now - state.lastReinit;
-    if (timeSinceLastReinit < 2000) {
+    if (!userInitiated && !prefetch && timeSinceLastReinit < 2000) {
         log('Cooldown active, skipping load');
         return;
     }
@@ -444,15 +1022,18 @@ async function loadNextPages(gallery) {
     const helpers = getHelpersOrThrow();
     const photoLimit = helpers.getPhotoLimit(gallery);
     // Use DOM count as source of truth (always accurate, no timing issues with helper updates)
-    const loadedBefore = gallery.querySelectorAll('.flickr-justified-card').length;
+    const loadedBefore = getGridCards(gallery).length;
     if (photoLimit > 0 && loadedBefore >= photoLimit) {
         log('Photo limit reached, stopping lazy loading');
         stopLazyLoading(state);
         return;
     }
 
-    // Find sets that still have pages to load
-    const pendingSets = state.setMetadata.filter(set => !set.loadingError && set.current_page < set.total_pages);
+    // Find sets that still have pages to load; sequential albums load one at a time
+    let pendingSets = state.setMetadata.filter(set => !set.loadingError && set.current_page < set.total_pages);
+    if (gallery.dataset.albumInterleave === 'sequential') {
+        pendingSets = pendingSets.slice(0, 1);
+    }
 
     if (pendingSets.length === 0) {
         log('All pages loaded or errored');
@@ -461,81 +1042,24 @@ async function loadNextPages(gallery) {
     }
 
     // Set loading flag and latch (after all guards pass)
-    // Latch prevents observer spam while sentinel is visible
-    state.observerTriggered = true;
+    // Latch prevents observer spam while sentinel is visible; a prefetch leaves
+    // it open so the sentinel can still ask for the prefetched photos
+    if (!prefetch) {
+        state.observerTriggered = true;
+    }
     state.isLoading = true;
+    state.isPrefetching = prefetch;
+    state.showPrefetched = false;
+    updateLoadMoreButton(state);
     state.lastRequestId++;
     const thisRequestId = state.lastRequestId;
 
     // Track whether we reinit or schedule retry (for latch safety reset)
     let didReinit = false;
+    let heldPhotos = false;  // Prefetched photos left waiting for the sentinel
     let scheduledRetry = false;
     let skipHasMoreRecalc = false;  // Track if we should skip hasMore recalculation (proactive stops)
 
-    // Define reinitializeGallery once per loadNextPages call (closes over gallery/state)
-    function reinitializeGallery() {
-        log('Reinitializing gallery layout...');
-
-        // Move existing cards out of row wrappers
-        gallery.querySelectorAll(':scope > .flickr-justified-row').forEach(row => {
-            row.querySelectorAll(':scope > .flickr-justified-card').forEach(card =>
-                gallery.appendChild(card)
-            );
-            row.remove();
-        });
-
-        gallery.querySelector('.flickr-staging')?.remove();
-
-        // Add new photos from state (not DOM)
-        if (state.pendingPhotos.length > 0) {
-            state.pendingPhotos.forEach(photoData => {
-                const card = createPhotoCard(photoData, gallery);
-                if (card) gallery.appendChild(card);
-            });
-            state.pendingPhotos = []; // Clear after adding
-        }
-
-        // Sort if needed
-        const sortOrder = gallery.dataset.sortOrder || 'input';
-        if (sortOrder === SORT_VIEWS_DESC) {
-            const cards = Array.from(gallery.querySelectorAll('.flickr-justified-card'));
-            cards.sort((a, b) => {
-                const viewsDiff = parseInt(b.dataset.views || '0', 10) -
-                                parseInt(a.dataset.views || '0', 10);
-                if (viewsDiff !== 0) return viewsDiff;
-                return parseInt(a.dataset.position || '0', 10) -
-                       parseInt(b.dataset.position || '0', 10);
-            });
-            cards.forEach(card => gallery.appendChild(card));
-        }
-
-        const h = getHelpersOrThrow();
-        h.setLoadedCount(gallery, gallery.querySelectorAll('.flickr-justified-card').length);
-
-        // Rebuild layout - browser will handle scroll anchoring
-        gallery.classList.remove('justified-initialized');
-        initJustifiedGallery();
-
-        // Reset latch and re-setup intersection observer for new last image
-        // Use double requestAnimationFrame for deterministic DOM/layout timing
-        state.observerTriggered = false;
-        if (state.hasMore) {
-            requestAnimationFrame(() => {
-                requestAnimationFrame(() => {
-                    setupIntersectionObserver(gallery, state);
-                });
-            });
-        }
-
-        // Notify PhotoSwipe
-        document.dispatchEvent(new CustomEvent('flickr-gallery-updated', {
-            detail: { gallery }
-        }));
-
-        state.lastReinit = Date.now();
-        log('Gallery reinitialization complete');
-    }
-
     // Abort any existing request
     if (state.abortController) {
         state.abortController.abort();
@@ -560,36 +1084,28 @@ async function loadNextPages(gallery) {
             return;
         }
 
-        // Sequential fetching to enforce photoLimit globally
-        // (concurrent fetching would cause all sets to race with same loadedBefore)
-        const results = [];
-        for (const setData of pendingSets) {
-            // Check remaining capacity before each fetch
-            if (photoLimit > 0) {
-                const currentLoaded = loadedBefore + state.pendingPhotos.length;
-                if (currentLoaded >= photoLimit) {
-                    log(`Photo limit reached (${currentLoaded}/${photoLimit}), stopping lazy loading`);
-                    skipHasMoreRecalc = true;
-                    stopLazyLoadingDeferFlags(state);
-                    break;
-                }
+        // Fetch several sets at once. Each set's share of the photo limit is reserved
+        // up front, in set order, so concurrent responses can't overshoot the limit;
+        // sets left without a share wait for the next round.
+        const quotas = reserveSetQuotas(pendingSets, photoLimit, loadedBefore, PHOTOS_PER_PAGE);
+        const dispatchSets = pendingSets.filter((setData, index) => quotas[index].quota > 0);
+        const dispatchQuotas = quotas.filter(({ quota }) => quota > 0);
+        const setsDeferred = dispatchSets.length < pendingSets.length;
+
+        let stopDispatch = false;
+        const results = await runWithConcurrency(dispatchSets, getAlbumConcurrency(), async (setData, index) => {
+            // Don't start more sets after a non-retryable error or once superseded
+            if (stopDispatch || thisRequestId !== state.lastRequestId) {
+                return { status: 'cancelled' };
             }
 
-            // Check if request is still current
-            if (thisRequestId !== state.lastRequestId) {
-                log(`Request #${thisRequestId} superseded during sequential fetch`);
-                break;
-            }
-
-            const result = await loadSetPage(gallery, setData, state, thisRequestId, photoLimit, loadedBefore);
-            results.push(result);
-
-            // Stop if we hit a non-retryable error
+            const result = await loadSetPage(gallery, setData, state, thisRequestId, photoLimit, loadedBefore + dispatchQuotas[index].offset);
             if (result?.noRetry) {
-                log(`Non-retryable error from set ${setData.photoset_id}, stopping fetch loop`);
-                break;
+                log(`Non-retryable error from set ${setData.photoset_id}, starting no further sets`);
+                stopDispatch = true;
             }
-        }
+            return result;
+        });
 
         // Double-check request is still current
         if (thisRequestId !== state.lastRequestId) {
@@ -597,6 +1113,19 @@ async function loadNextPages(gallery) {
             return;
         }
 
+        // Reconcile in set order, whatever order the responses arrived in
+        results.forEach((result, index) => {
+            if (result?.status === 'success') {
+                result.photos = acceptSetPhotos(state, dispatchSets[index], result.photos, dispatchQuotas[index].quota);
+            }
+        });
+
+        if (setsDeferred && loadedBefore + state.pendingPhotos.length >= photoLimit) {
+            log(`Photo limit reached (${loadedBefore + state.pendingPhotos.length}/${photoLimit}), stopping lazy loading`);
+            skipHasMoreRecalc = true;
+            stopLazyLoadingDeferFlags(state);
+        }
+
         const hasSuccess = results.some(result => result && result.status === 'success');
         const recoverableResults = results.filter(result => result && result.status === 'recoverable-error');
         const hasRecoverable = recoverableResults.length > 0;
@@ -624,7 +1153,7 @@ async function loadNextPages(gallery) {
             // Flush any photos we already successfully fetched before the error
             if (state.pendingPhotos.length > 0) {
                 didReinit = true;
-                reinitializeGallery();
+                reinitializeGallery(gallery, state);
             }
 
             log(`Non-retryable error: ${noRetryResult.error} - user must refresh`);
@@ -657,16 +1186,22 @@ async function loadNextPages(gallery) {
                     state.retryTimer = null;
                 }
 
-                log('Reinitializing gallery with new photos...');
+                if (prefetch && !state.showPrefetched) {
+                    // Hold the photos until the sentinel (or "Load more") asks for them
+                    log(`Prefetched ${state.pendingPhotos.length} photos`);
+                    heldPhotos = true;
+                } else {
+                    log('Reinitializing gallery with new photos...');
+
+                    // Disconnect observer before reinit (will be reconnected after)
+                    if (state.io) {
+                        state.io.disconnect();
+                        state.io = null;
+                    }
 
-                // Disconnect observer before reinit (will be reconnected after)
-                if (state.io) {
-                    state.io.disconnect();
-                    state.io = null;
+                    didReinit = true;
+                    reinitializeGallery(gallery, state);
                 }
-
-                didReinit = true;
-                reinitializeGallery();
             } else if (hasSuccess && !allCancelled) {
                 // Success but no new photos (Flickr returned empty page)
                 // Reset error state but no need to reinit
@@ -721,7 +1256,7 @@ async function loadNextPages(gallery) {
                 state.retryTimer = setTimeout(() => {
                     state.retryTimer = null;
                     state.retryAt = null; // Clear backoff
-                    loadNextPages(gallery);
+                    loadNextPages(gallery, { prefetch: prefetch && !state.showPrefetched });
                 }, scheduledRetryDelay);
 
                 // NOTE: No cleanup.push() needed - retryTimer is already cleared in:
@@ -771,6 +1306,8 @@ async function loadNextPages(gallery) {
     } finally {
         // Always reset loading flag
         state.isLoading = false;
+        state.isPrefetching = false;
+        updateLoadMoreButton(state);
 
         // Safety reset: if we didn't reinit or schedule retry, clear the latch
         // (future-proof against early returns or hasMore becoming false)
@@ -778,31 +1315,84 @@ async function loadNextPages(gallery) {
             state.observerTriggered = false;
         }
 
-        loadingIndicator = maintainLoadingIndicator({
-                gallery,
-                loadingIndicator,
-                baseLoadingMessage,
-                indicatorMessage,
-                shouldPersist: !shouldRemoveIndicator && (indicatorShouldPersist || indicatorWasPersisting),
-                shouldRemoveIndicator,
-                createIndicator: () => createLoadingIndicatorElement(baseLoadingMessage),
-                fallbackIndicator: indicatorNodeBeforeReinit
-            });
+        // The last pages may have been prefetched (or the limit reached), which
+        // stops the observer: keep one watching for the photos still held
+        if (heldPhotos && !state.io) {
+            setupNextPageTrigger(gallery, state);
+        }
+
+        // A background prefetch only speaks up once someone is waiting for it
+        if (!prefetch || didReinit || state.showPrefetched) {
+            loadingIndicator = maintainLoadingIndicator({
+                    gallery,
+                    loadingIndicator,
+                    baseLoadingMessage,
+                    indicatorMessage,
+                    shouldPersist: !shouldRemoveIndicator && (indicatorShouldPersist || indicatorWasPersisting),
+                    shouldRemoveIndicator,
+                    createIndicator: () => createLoadingIndicatorElement(baseLoadingMessage),
+                    fallbackIndicator: indicatorNodeBeforeReinit
+                });
+        }
     }
 }
 
-async function loadSetPage(gallery, setData, state, thisRequestId, photoLimit, loadedBefore) {
+/**
+ * Own abort controller for one set's fetch (setData.abortController): a slow
+ * set times out alone, while aborting the gallery's controller still cancels
+ * every set. Call release() once the fetch is done.
+ * @param {GalleryState} state   - Gallery's state
+ * @param {Object}       setData - Set about to be fetched
+ */
+function createSetAbort(state, setData) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    const gallerySignal = state.abortController?.signal;
+    gallerySignal?.addEventListener('abort', abort, { once: true });
+
+    const setAbort = {
+        signal: controller.signal,
+        timedOut: false,
+        release() {
+            clearTimeout(timeoutId);
+            gallerySignal?.removeEventListener('abort', abort);
+            setData.abortController = null;
+        }
+    };
+    const timeoutId = setTimeout(() => {
+        setAbort.timedOut = true;
+        controller.abort();
+    }, SET_FETCH_TIMEOUT);
+
+    setData.abortController = controller;
+    return setAbort;
+}
+
+/**
+ * Fetch the next page of one set. Photos come back unqueued (see acceptSetPhotos).
+ * loadedCount is the photos loaded plus those reserved by earlier sets this
+ * round, for server-side clamping.
+ * @param {Element}      gallery       - `.flickr-justified-grid` element
+ * @param {Object}       setData       - Set to fetch
+ * @param {GalleryState} state         - Gallery's state
+ * @param {number}       thisRequestId - Request the fetch belongs to; a newer one skips it
+ * @param {number}       photoLimit    - Gallery's photo limit, 0 for none
+ * @param {number}       loadedCount   - Photos loaded or reserved so far
+ */
+async function loadSetPage(gallery, setData, state, thisRequestId, photoLimit, loadedCount) {
+    // Check if request is still current before starting
+    if (thisRequestId !== state.lastRequestId) {
+        log(`Request superseded, skipping fetch`);
+        return { status: 'cancelled' };
+    }
+
     setData.isLoading = true;
     const nextPage = setData.current_page + 1;
 
     log(`Loading page ${nextPage} for set ${setData.photoset_id}`);
 
+    const setAbort = createSetAbort(state, setData);
     try {
-        // Check if request is still current before starting
-        if (thisRequestId !== state.lastRequestId) {
-            log(`Request superseded, skipping fetch`);
-            return { status: 'cancelled' };
-        }
 
         // Get REST API URL from script module data (required - no hardcoded fallback)
         const restUrl = getRestUrl();
@@ -813,9 +1403,6 @@ async function loadSetPage(gallery, setData, state, thisRequestId, photoLimit, l
 
         const sortOrder = gallery.dataset.sortOrder || 'input';
 
-        // Compute current loaded count including pending photos (for accurate server-side clamping)
-        const loadedSoFar = loadedBefore + state.pendingPhotos.length;
-
         // Use AbortController for cancellable fetch
         const response = await fetch(restUrl + '/load-album-page', {
             method: 'POST',
@@ -828,9 +1415,10 @@ async function loadSetPage(gallery, setData, state, thisRequestId, photoLimit, l
                 page: nextPage,
                 sort_order: sortOrder,
                 max_photos: photoLimit,
-                loaded_count: loadedSoFar
+                loaded_count: loadedCount,
+                interleave: gallery.dataset.albumInterleave || 'round_robin'
             }),
-            signal: state.abortController?.signal
+            signal: setAbort.signal
         });
 
         if (!response.ok) {
@@ -907,56 +1495,12 @@ async function loadSetPage(gallery, setData, state, thisRequestId, photoLimit, l
             };
         }
 
-        if (data.photos.length > 0) {
-            // 1) Compute candidates without mutating state (de-dupe check only)
-            const candidates = [];
-            for (const photo of data.photos) {
-                const photoId = photo.id || photo.url; // Use ID or URL as key
-                if (state.renderedPhotoIds.has(photoId)) {
-                    log(`Skipping duplicate photo: ${photoId}`);
-                    continue;
-                }
-                candidates.push({ photo, photoId });
-            }
-
-            // 2) Clamp using loadedBefore (global count), not queue length
-            let accepted = candidates;
-            if (photoLimit > 0) {
-                const alreadyLoaded = loadedBefore + state.pendingPhotos.length;
-                const remaining = photoLimit - alreadyLoaded;
-                if (remaining <= 0) {
-                    accepted = [];
-                } else if (candidates.length > remaining) {
-                    accepted = candidates.slice(0, remaining);
-                    log(`Clamped ${candidates.length} candidates to ${remaining} to respect photoLimit=${photoLimit} (loaded: ${alreadyLoaded})`);
-                }
-            }
-
-            // 3) Now commit accepted IDs into Set + queue (only accepted photos!)
-            for (const { photoId } of accepted) {
-                state.renderedPhotoIds.add(photoId);
-                state.renderedPhotoQueue.push(photoId);
-
-                // Evict oldest entries when cap exceeded (NEVER reassign Set!)
-                while (state.renderedPhotoQueue.length > MAX_RENDERED_IDS) {
-                    const oldestId = state.renderedPhotoQueue.shift();
-                    state.renderedPhotoIds.delete(oldestId);
-                }
-            }
-
-            // Log cap status if relevant
-            if (state.renderedPhotoQueue.length === MAX_RENDERED_IDS) {
-                log(`De-dupe at capacity: tracking ${MAX_RENDERED_IDS} most recent photo IDs`);
-            }
-
-            log(`Loaded ${data.photos.length} photos (${candidates.length} unique, ${accepted.length} accepted) from page ${nextPage}`);
-
-            // 4) Push accepted photos
-            const acceptedPhotos = accepted.map(x => x.photo);
-            if (acceptedPhotos.length > 0) {
-                state.pendingPhotos.push(...acceptedPhotos);
-            }
+        // Albums held back by sequential loading learn their page count from page 1
+        if (parseInt(data.total_pages, 10) > 0) {
+            setData.total_pages = parseInt(data.total_pages, 10);
+        }
 
+        if (data.photos.length > 0) {
             // Update state in memory (no DOM write needed!)
             setData.current_page = nextPage;
 
@@ -964,7 +1508,7 @@ async function loadSetPage(gallery, setData, state, thisRequestId, photoLimit, l
                 log(`Reached last page (${nextPage}/${setData.total_pages}) for set ${setData.photoset_id}`);
             }
 
-            return { status: 'success', photos: acceptedPhotos };
+            return { status: 'success', photos: data.photos };
         } else {
             log(`No more photos returned for page ${nextPage}`);
             // Update state in memory (no DOM write needed!)
@@ -974,6 +1518,15 @@ async function loadSetPage(gallery, setData, state, thisRequestId, photoLimit, l
     } catch (error) {
         // Handle abort errors (request was cancelled)
         if (error.name === 'AbortError') {
+            if (setAbort.timedOut) {
+                log(`Set ${setData.photoset_id} timed out after ${SET_FETCH_TIMEOUT}ms`);
+                return {
+                    status: 'recoverable-error',
+                    error: 'Timeout',
+                    retryDelay: 5000,
+                    message: 'An album is slow to respond. Retrying shortly...'
+                };
+            }
             log(`Request aborted for set ${setData.photoset_id}`);
             return { status: 'cancelled' };
         }
@@ -1005,6 +1558,7 @@ async function loadSetPage(gallery, setData, state, thisRequestId, photoLimit, l
         return { status: 'error', error: error.message };
     } finally {
         setData.isLoading = false;
+        setAbort.release();
     }
 }
 
@@ -1026,6 +1580,21 @@ function createPhotoCard(photoData, gallery) {
         card.setAttribute('data-photo-id', photoId);
     }
 
+    // Album and date taken, for ordering several albums (orderCards)
+    if (photoData.album) {
+        card.setAttribute('data-album', photoData.album);
+    }
+    if (photoData.taken) {
+        card.setAttribute('data-taken', photoData.taken);
+    }
+
+    // Section key, so the layout puts the card in its album or month
+    const groupKeys = { album: photoData.album, date: photoData.taken_month };
+    const group = groupKeys[gallery.dataset.groupBy];
+    if (group) {
+        card.setAttribute('data-group', group);
+    }
+
     if (photoData.width && photoData.height) {
         card.setAttribute('data-width', photoData.width);
         card.setAttribute('data-height', photoData.height);
@@ -1035,6 +1604,13 @@ function createPhotoCard(photoData, gallery) {
         card.setAttribute('data-rotation', photoData.rotation);
     }
 
+    // Blurred thumbnail behind the photo until it loads (image-placeholders.js)
+    if (photoData.placeholder) {
+        card.setAttribute('data-placeholder', photoData.placeholder);
+        const placeholderUrl = photoData.placeholder.replace(/["\\]/g, '\\$&');
+        card.style.setProperty('--flickr-placeholder', `url("${placeholderUrl}")`);
+    }
+
     const blockId = gallery.id;
     const lightboxClass = 'flickr-builtin-lightbox';
     const attributionText = gallery.getAttribute('data-attribution-text') || 'Flickr';
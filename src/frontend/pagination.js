@@ -0,0 +1,176 @@
+/**
+ * Flickr Justified Gallery - Numbered Pages
+ *
+ * Galleries with data-pagination="numbered" are split into pages by the
+ * server, with plain ?fjb_page_<gallery id>=N links below the grid. Following
+ * one of those links here fetches the URL and swaps in the new page of that
+ * gallery only, so the page changes without a reload while the address bar
+ * keeps a URL that can be shared. Each gallery has its own parameter, so
+ * several on one post page independently. Back and forward swap every gallery
+ * whose parameter changed. A failed fetch, or a gallery the fetched page
+ * doesn't have (async-loaded galleries), falls back to a normal page load.
+ */
+
+import { initJustifiedGallery } from './layout';
+
+const NAV_SELECTOR = '.flickr-justified-pagination';
+const GRID_SELECTOR = '.flickr-justified-grid[data-pagination="numbered"]';
+
+// In-flight page request per gallery id
+const pendingRequests = new Map();
+
+function getPageParam( url, param ) {
+	return (
+		new URL( url, window.location.href ).searchParams.get( param ) || '1'
+	);
+}
+
+function getNav( root, galleryId ) {
+	return root.querySelector(
+		`${ NAV_SELECTOR }[data-gallery="${ CSS.escape( galleryId ) }"]`
+	);
+}
+
+// Page the nav marks as current, '1' when the gallery has a single page
+function getShownPage( galleryId ) {
+	const current = getNav( document, galleryId )?.querySelector(
+		'[aria-current="page"]'
+	);
+	return current ? current.textContent.trim() : '1';
+}
+
+// The current URL with only this gallery's page changed, so the pages other
+// galleries moved to stay in the address bar
+function getPageUrl( nav, href ) {
+	const param = nav.dataset.pageParam;
+	const url = new URL( window.location.href );
+	const page = new URL( href, window.location.href ).searchParams.get(
+		param
+	);
+	if ( page ) {
+		url.searchParams.set( param, page );
+	} else {
+		url.searchParams.delete( param );
+	}
+	url.hash = '';
+	return url.href;
+}
+
+// Replace one numbered gallery (and its page links) with the one in `doc`
+function swapGallery( doc, galleryId ) {
+	const grid = document.getElementById( galleryId );
+	const newGrid = doc.getElementById( galleryId );
+	if ( ! grid || ! newGrid || ! newGrid.matches( GRID_SELECTOR ) ) {
+		return null;
+	}
+
+	const nav = getNav( document, galleryId );
+	const newNav = getNav( doc, galleryId );
+	if ( nav && newNav ) {
+		nav.replaceWith( newNav );
+	} else if ( nav ) {
+		nav.remove();
+	} else if ( newNav ) {
+		grid.after( newNav );
+	}
+
+	grid.replaceWith( newGrid );
+	return newGrid;
+}
+
+async function showPage( url, galleryId, addHistoryEntry ) {
+	pendingRequests.get( galleryId )?.abort();
+	const request = new AbortController();
+	pendingRequests.set( galleryId, request );
+
+	const grid = document.getElementById( galleryId );
+	if ( grid ) {
+		grid.setAttribute( 'aria-busy', 'true' );
+	}
+
+	let newGrid;
+	try {
+		const response = await fetch( url, {
+			credentials: 'same-origin',
+			signal: request.signal,
+		} );
+		if ( ! response.ok ) {
+			throw new Error( 'HTTP ' + response.status );
+		}
+		const doc = new DOMParser().parseFromString(
+			await response.text(),
+			'text/html'
+		);
+		newGrid = swapGallery( doc, galleryId );
+		if ( ! newGrid ) {
+			throw new Error( 'Gallery not found in ' + url );
+		}
+	} catch ( error ) {
+		if ( error.name === 'AbortError' ) {
+			return;
+		}
+		console.error( 'Flickr Gallery: Page change failed', error );
+		window.location.assign( url );
+		return;
+	} finally {
+		if ( pendingRequests.get( galleryId ) === request ) {
+			pendingRequests.delete( galleryId );
+		}
+	}
+
+	if ( addHistoryEntry ) {
+		window.history.pushState( { flickrGalleryPage: true }, '', url );
+	}
+
+	// Layout announces the new gallery once its rows are in place
+	initJustifiedGallery();
+
+	// Start reading the new page from its top, with focus in the gallery
+	if ( newGrid.getBoundingClientRect().top < 0 ) {
+		newGrid.scrollIntoView( { block: 'start' } );
+	}
+	newGrid.setAttribute( 'tabindex', '-1' );
+	newGrid.focus( { preventScroll: true } );
+}
+
+document.addEventListener( 'click', ( event ) => {
+	const link = event.target.closest( `${ NAV_SELECTOR } a[href]` );
+	if (
+		! link ||
+		event.defaultPrevented ||
+		event.button !== 0 ||
+		event.metaKey ||
+		event.ctrlKey ||
+		event.shiftKey ||
+		event.altKey
+	) {
+		return;
+	}
+
+	const nav = link.closest( NAV_SELECTOR );
+	if (
+		! nav.dataset.pageParam ||
+		! document.getElementById( nav.dataset.gallery )
+	) {
+		return;
+	}
+
+	event.preventDefault();
+	showPage( getPageUrl( nav, link.href ), nav.dataset.gallery, true );
+} );
+
+window.addEventListener( 'popstate', () => {
+	document.querySelectorAll( GRID_SELECTOR ).forEach( ( grid ) => {
+		const nav = getNav( document, grid.id );
+		if ( ! nav?.dataset.pageParam ) {
+			return;
+		}
+		const page = getPageParam(
+			window.location.href,
+			nav.dataset.pageParam
+		);
+		if ( page !== getShownPage( grid.id ) ) {
+			showPage( window.location.href, grid.id, false );
+		}
+	} );
+} );
@@ -6,6 +6,7 @@
 import { getPluginUrl } from './config';
 import { log, warn } from './debug';
 import { normalizeRotation, shouldSwapDimensions } from './layout';
+import { getGridCards } from './virtual-rows';
 
 // Lazy-loaded PhotoSwipe asset paths (deferred until first use)
 let _paths = null;
@@ -300,12 +301,12 @@ function delegatedClickHandler(event) {
     event.stopPropagation();
 
     const gallery = clickedItem.closest('.flickr-justified-grid');
-    const items = gallery.querySelectorAll('.flickr-justified-card a.flickr-builtin-lightbox');
+    const items = getLightboxLinks(gallery);
     const index = parseInt(clickedItem.getAttribute('data-pswp-index'), 10) || 0;
 
     log('PhotoSwipe click handler triggered for index:', index);
 
-    const galleryData = Array.from(items).map((item) => {
+    const galleryData = items.map((item) => {
         const img = item.querySelector('img');
         const flickrPage = item.getAttribute('data-flickr-page');
         const rotationAttr = item.getAttribute('data-rotation') || item.closest('.flickr-justified-card')?.dataset?.rotation || img?.getAttribute('data-rotation');
@@ -339,8 +340,20 @@ function delegatedClickHandler(event) {
         };
     });
 
+    // PhotoSwipe only slides left-to-right; in right-to-left galleries reverse
+    // the slides so the next photo in reading order comes in from the left
+    const rtl = isRtlGallery(gallery);
+    if (rtl) {
+        galleryData.reverse();
+    }
+
     log('Opening PhotoSwipe with', galleryData.length, 'images');
-    openPhotoSwipe(galleryData, index);
+    openPhotoSwipe(galleryData, rtl ? galleryData.length - 1 - index : index, rtl);
+}
+
+// Direction comes from dir="rtl" on the gallery or any ancestor, including <html>
+function isRtlGallery(gallery) {
+    return getComputedStyle(gallery).direction === 'rtl';
 }
 
 /**
@@ -377,6 +390,13 @@ function handleTouchMove(event) {
     }
 }
 
+// Lightbox links in display order, including those in unmounted (virtualized) rows
+function getLightboxLinks(gallery) {
+    return getGridCards(gallery)
+        .map(card => card.querySelector('a.flickr-builtin-lightbox'))
+        .filter(Boolean);
+}
+
 // Prepare gallery data for PhotoSwipe
 function prepareGalleryData() {
     const galleries = document.querySelectorAll('.flickr-justified-grid[data-use-builtin-lightbox="1"]');
@@ -397,7 +417,7 @@ function prepareGalleryData() {
             log('PhotoSwipe: Event handlers bound to gallery', gallery.id || 'unnamed');
         }
         // Reindex after any DOM changes (cheap)
-        const items = gallery.querySelectorAll('.flickr-justified-card a.flickr-builtin-lightbox');
+        const items = getLightboxLinks(gallery);
         log('Preparing', items.length, 'items in gallery');
         items.forEach((item, idx) => item.setAttribute('data-pswp-index', idx));
         gallery.setAttribute('data-photoswipe-initialized', 'true');
@@ -405,8 +425,28 @@ function prepareGalleryData() {
 }
 
 
-// Open PhotoSwipe gallery
-function openPhotoSwipe(galleryData, index) {
+// Slides of a right-to-left gallery are reversed, so the left arrow (and ArrowLeft key)
+// moves forward. Each arrow takes the other's title and label, keeping PhotoSwipe's own wording.
+function swapArrowLabels(root) {
+    const prev = root?.querySelector('.pswp__button--arrow--prev');
+    const next = root?.querySelector('.pswp__button--arrow--next');
+    if (!prev || !next) {
+        return;
+    }
+
+    ['title', 'aria-label'].forEach(attr => {
+        const prevValue = prev.getAttribute(attr);
+        const nextValue = next.getAttribute(attr);
+        if (prevValue === null || nextValue === null) {
+            return;
+        }
+        prev.setAttribute(attr, nextValue);
+        next.setAttribute(attr, prevValue);
+    });
+}
+
+// Open PhotoSwipe gallery; rtl means galleryData is in reversed reading order
+function openPhotoSwipe(galleryData, index, rtl = false) {
     Promise.all([loadPhotoSwipeCSS(), loadPhotoSwipeJS()]).then(() => {
         const PhotoSwipe = _PhotoSwipe;
         const fullscreenAPI = getFullscreenAPI();
@@ -466,6 +506,11 @@ function openPhotoSwipe(galleryData, index) {
             }
         };
 
+        if (rtl) {
+            // Replaced below by a counter that counts in reading order
+            lightboxOptions.counter = false;
+        }
+
         // Add fullscreen support for mobile (but don't block lightbox opening)
         if (isActualMobile && fullscreenAPI && container && fullscreenPromiseFactory) {
             let fullscreenPromiseInstance = null;
@@ -489,6 +534,11 @@ function openPhotoSwipe(galleryData, index) {
 
         const lightbox = new PhotoSwipe(lightboxOptions);
 
+        // Slides whose card sits in an unmounted row have no thumbnail on screen;
+        // fade instead of zooming from a detached element
+        lightbox.addFilter('thumbBounds', (thumbBounds, itemData) =>
+            (itemData.element && itemData.element.isConnected ? thumbBounds : undefined));
+
         // Exit fullscreen on close
         lightbox.on('close', () => {
             if (container) {
@@ -522,6 +572,22 @@ function openPhotoSwipe(galleryData, index) {
             });
         });
 
+        if (rtl) {
+            lightbox.on('afterInit', () => swapArrowLabels(lightbox.element));
+            lightbox.on('uiRegister', function() {
+                lightbox.ui.registerElement({
+                    name: 'rtl-counter',
+                    className: 'pswp__counter',
+                    order: 5,
+                    onInit: (el, pswp) => {
+                        pswp.on('change', () => {
+                            el.innerText = (pswp.getNumItems() - pswp.currIndex) + pswp.options.indexIndicatorSep + pswp.getNumItems();
+                        });
+                    }
+                });
+            });
+        }
+
         const updateContentRotation = (content) => {
             if (!content || !content.element) {
                 return;
@@ -0,0 +1,134 @@
+/**
+ * Flickr Justified Gallery - Re-flow Animation (ES Module)
+ *
+ * Opt-in (data-animate-reflow="1") FLIP transitions: the boxes of visible
+ * cards are recorded before a layout pass, and afterwards each card is
+ * transformed back onto its old box and released to glide into the new one.
+ * Layout passes already run once per resize burst (250 ms debounce), so a
+ * drag-resize animates once, from the last layout to the final one.
+ */
+
+const REFLOW_DURATION = 300;
+const REFLOW_EASING = 'cubic-bezier(0.2, 0, 0, 1)';
+
+// Moves smaller than this are rounding, not re-flow
+const MIN_OFFSET = 1;
+const MIN_SCALE_CHANGE = 0.01;
+
+function prefersReducedMotion() {
+	return (
+		typeof window.matchMedia === 'function' &&
+		window.matchMedia( '(prefers-reduced-motion: reduce)' ).matches
+	);
+}
+
+function isNearViewport( rect ) {
+	return rect.bottom > 0 && rect.top < window.innerHeight;
+}
+
+/**
+ * Record where a grid's visible cards are before a layout pass.
+ *
+ * Offscreen cards aren't recorded; they move into place without animation.
+ * A card still gliding from an earlier pass is recorded where it is now, so
+ * the next animation continues from there.
+ *
+ * @param {Element} grid `.flickr-justified-grid` element.
+ * @return {Map<Element, DOMRect>|null} Card boxes, or null when the grid
+ *                                      doesn't animate.
+ */
+export function captureCardBoxes( grid ) {
+	if ( grid.dataset.animateReflow !== '1' || prefersReducedMotion() ) {
+		return null;
+	}
+
+	const boxes = new Map();
+	grid.querySelectorAll( '.flickr-justified-card' ).forEach( ( card ) => {
+		const rect = card.getBoundingClientRect();
+		if ( rect.width > 0 && rect.height > 0 && isNearViewport( rect ) ) {
+			boxes.set( card, rect );
+		}
+	} );
+	return boxes;
+}
+
+function resetCard( card ) {
+	card.style.removeProperty( 'transition' );
+	card.style.removeProperty( 'transform' );
+	card.style.removeProperty( 'transform-origin' );
+}
+
+/**
+ * Animate cards from the boxes recorded by captureCardBoxes() to where the
+ * layout pass placed them.
+ *
+ * @param {Map<Element, DOMRect>|null} boxes Boxes from before the pass.
+ */
+export function animateFromBoxes( boxes ) {
+	if ( ! boxes || boxes.size === 0 ) {
+		return;
+	}
+
+	// Drop leftover transforms from an earlier pass before measuring, all
+	// writes first so the new boxes are read in a single layout
+	const cards = Array.from( boxes.keys() ).filter(
+		( card ) => card.isConnected
+	);
+	cards.forEach( resetCard );
+	const lastBoxes = cards.map( ( card ) => card.getBoundingClientRect() );
+
+	const movedCards = [];
+	cards.forEach( ( card, i ) => {
+		const last = lastBoxes[ i ];
+		if ( last.width === 0 || last.height === 0 ) {
+			return;
+		}
+
+		const first = boxes.get( card );
+		const dx = first.left - last.left;
+		const dy = first.top - last.top;
+		const scaleX = first.width / last.width;
+		const scaleY = first.height / last.height;
+		if (
+			Math.abs( dx ) < MIN_OFFSET &&
+			Math.abs( dy ) < MIN_OFFSET &&
+			Math.abs( scaleX - 1 ) < MIN_SCALE_CHANGE &&
+			Math.abs( scaleY - 1 ) < MIN_SCALE_CHANGE
+		) {
+			return;
+		}
+
+		card.style.transition = 'none';
+		card.style.transformOrigin = '0 0';
+		card.style.transform = `translate(${ dx }px, ${ dy }px) scale(${ scaleX }, ${ scaleY })`;
+		movedCards.push( card );
+	} );
+
+	if ( movedCards.length === 0 ) {
+		return;
+	}
+
+	const token = {};
+	movedCards.forEach( ( card ) => {
+		card._flickrReflowToken = token;
+	} );
+
+	// Commit the inverted boxes as the transition's starting point
+	movedCards[ 0 ].getBoundingClientRect();
+
+	movedCards.forEach( ( card ) => {
+		card.style.transition = `transform ${ REFLOW_DURATION }ms ${ REFLOW_EASING }`;
+		card.style.transform = '';
+	} );
+
+	setTimeout( () => {
+		movedCards.forEach( ( card ) => {
+			// A later pass took over this card's animation
+			if ( card._flickrReflowToken !== token ) {
+				return;
+			}
+			card._flickrReflowToken = null;
+			resetCard( card );
+		} );
+	}, REFLOW_DURATION + 50 );
+}
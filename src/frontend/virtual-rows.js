@@ -0,0 +1,163 @@
+/**
+ * Flickr Justified Gallery - Row Virtualization (ES Module)
+ *
+ * Opt-in (data-virtualize="1") for very large albums. Rows far from the
+ * viewport are swapped for empty spacers of the same height and kept detached,
+ * so the page only holds a few screens of cards while scroll height, card
+ * order and row geometry stay intact. Anything that needs every card of a
+ * grid goes through getGridCards() / getGridRows() rather than querying the DOM.
+ */
+
+// Rows within two viewport heights above or below the screen stay mounted
+const MOUNT_MARGIN = '200% 0px';
+
+const rowObserver =
+	typeof IntersectionObserver !== 'undefined'
+		? new IntersectionObserver(
+				( entries ) => {
+					entries.forEach( ( { target, isIntersecting } ) => {
+						if ( ! target.isConnected ) {
+							return;
+						}
+						if ( target._flickrRow ) {
+							if ( isIntersecting ) {
+								mountRow( target );
+							}
+						} else if ( ! isIntersecting && ! target.hidden ) {
+							// Hidden rows take no space; a spacer would add a gap
+							unmountRow( target );
+						}
+					} );
+				},
+				{ rootMargin: MOUNT_MARGIN }
+		  )
+		: null;
+
+function unmountRow( row ) {
+	let spacer = row._flickrSpacer;
+	if ( ! spacer ) {
+		spacer = document.createElement( 'div' );
+		spacer.className = 'flickr-justified-spacer';
+		spacer.setAttribute( 'aria-hidden', 'true' );
+		spacer._flickrRow = row;
+		row._flickrSpacer = spacer;
+	}
+	spacer.style.height = row.offsetHeight + 'px';
+
+	rowObserver.unobserve( row );
+	row.replaceWith( spacer );
+	rowObserver.observe( spacer );
+}
+
+function mountRow( spacer ) {
+	const row = spacer._flickrRow;
+	rowObserver.unobserve( spacer );
+	spacer.replaceWith( row );
+	rowObserver.observe( row );
+}
+
+/**
+ * Whether a grid opted into virtualization.
+ *
+ * @param {Element} grid `.flickr-justified-grid` element.
+ * @return {boolean} True when rows may be unmounted.
+ */
+export function isVirtualized( grid ) {
+	return grid.dataset.virtualize === '1' && rowObserver !== null;
+}
+
+/**
+ * Row elements of a grid in display order, mounted or not.
+ *
+ * @param {Element} grid `.flickr-justified-grid` element.
+ * @return {Element[]} `.flickr-justified-row` elements.
+ */
+export function getGridRows( grid ) {
+	return Array.from(
+		grid.querySelectorAll(
+			':scope > .flickr-justified-row, :scope > .flickr-justified-spacer'
+		)
+	).map( ( element ) => element._flickrRow || element );
+}
+
+/**
+ * Every card of a grid in display order: cards in rows (mounted or not) and
+ * cards not yet wrapped into rows.
+ *
+ * @param {Element} grid `.flickr-justified-grid` element.
+ * @return {Element[]} `.flickr-justified-card` elements.
+ */
+export function getGridCards( grid ) {
+	const cards = [];
+	Array.from( grid.children ).forEach( ( child ) => {
+		if ( child.classList.contains( 'flickr-justified-card' ) ) {
+			cards.push( child );
+			return;
+		}
+		const row = child._flickrRow || child;
+		if ( row.classList.contains( 'flickr-justified-row' ) ) {
+			cards.push( ...row.querySelectorAll( '.flickr-justified-card' ) );
+		}
+	} );
+	return cards;
+}
+
+/**
+ * The element currently standing in the grid for a row: the row itself, or
+ * its spacer while unmounted. Use it as an insertion anchor.
+ *
+ * @param {Element} row `.flickr-justified-row` element.
+ * @return {Element} Row or spacer.
+ */
+export function getRowAnchor( row ) {
+	const spacer = row._flickrSpacer;
+	return spacer && spacer.isConnected ? spacer : row;
+}
+
+function forgetRow( row ) {
+	if ( rowObserver ) {
+		rowObserver.unobserve( row );
+		if ( row._flickrSpacer ) {
+			rowObserver.unobserve( row._flickrSpacer );
+		}
+	}
+	row._flickrSpacer = null;
+}
+
+/**
+ * Remove rows from the grid, mounted or not.
+ *
+ * @param {Element[]} rows `.flickr-justified-row` elements.
+ */
+export function removeRows( rows ) {
+	rows.forEach( ( row ) => {
+		getRowAnchor( row ).remove();
+		forgetRow( row );
+	} );
+}
+
+/**
+ * Put a freshly built row where an old one stands, mounted or not.
+ *
+ * @param {Element} oldRow Row being replaced.
+ * @param {Element} newRow Row taking its place.
+ */
+export function replaceRow( oldRow, newRow ) {
+	getRowAnchor( oldRow ).replaceWith( newRow );
+	forgetRow( oldRow );
+}
+
+/**
+ * Start tracking the mounted rows of a virtualized grid; rows that are far
+ * from the viewport are unmounted on the observer's first report.
+ *
+ * @param {Element} grid `.flickr-justified-grid` element.
+ */
+export function observeRows( grid ) {
+	if ( ! isVirtualized( grid ) ) {
+		return;
+	}
+	grid.querySelectorAll( ':scope > .flickr-justified-row' ).forEach(
+		( row ) => rowObserver.observe( row )
+	);
+}
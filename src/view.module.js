@@ -11,6 +11,9 @@ import { initFlickrAlbumLazyLoading } from './frontend/lazy-loading';
 // Side-effect imports — each module self-initializes
 import './frontend/photoswipe-init';
 import './frontend/image-fallback';
+import './frontend/image-resolution';
+import './frontend/image-placeholders';
+import './frontend/pagination';
 import './frontend/async-loader';
 
 function initialize() {